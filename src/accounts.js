@@ -0,0 +1,128 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { ROLES } from './roles.js';
+import { UnauthorizedError, wrapError } from './errors.js';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+// Accounts created on startup: AUTH_SEED_USERS='[{"email":"...","password":"...","role":"owner","name":"..."}]'
+const parseSeedUsers = () => {
+    if (!process.env.AUTH_SEED_USERS) {
+        return [];
+    }
+    const seeds = JSON.parse(process.env.AUTH_SEED_USERS);
+    if (!Array.isArray(seeds)) {
+        throw new Error('AUTH_SEED_USERS must be a JSON array');
+    }
+    return seeds;
+};
+
+const hashPassword = async (password) => {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+const checkPassword = async (password, stored) => {
+    const [, salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+    return timingSafeEqual(actual, expected);
+};
+
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_HASH = await hashPassword(randomUUID());
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Email/password accounts of the local auth provider. Credentials live in
+ * `accounts`, apart from the `users` profiles that are listed publicly.
+ */
+export class AccountsAPI {
+    /**
+     * @param {Db} db - MongoDB database
+     * @param {Object} provider - Auth provider that signs tokens (issueToken)
+     */
+    constructor(db, provider) {
+        this.db = db;
+        this.provider = provider;
+    }
+
+    /**
+     * Check an email and password and issue a token
+     * @returns {Promise<Object>} - { token, expiresAt, account: { uid, email, name } }
+     * @throws {UnauthorizedError} - Unknown email or wrong password
+     */
+    async login(email, password) {
+        let account;
+        try {
+            account = await this.db.collection('accounts').findOne({ email: normalizeEmail(email) });
+        } catch (error) {
+            console.error('Error fetching account:', error);
+            throw wrapError(error, 'Failed to log in');
+        }
+        const valid = await checkPassword(password, account?.passwordHash || DUMMY_HASH);
+        if (!account || !valid) {
+            throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+        }
+        const { token, expiresAt } = this.provider.issueToken(account);
+        await this.db.collection('accounts').updateOne({ _id: account._id }, { $set: { lastLoginAt: new Date() } });
+        return { token, expiresAt, account: { uid: account.uid, email: account.email, name: account.name } };
+    }
+
+    /**
+     * Create an account unless the email is taken; its role is stored on the user record
+     * @param {Object} data - { email, password, name, role }
+     * @returns {Promise<Boolean>} - Whether the account was created
+     */
+    async createAccount({ email, password, name = null, role = null }) {
+        if (!email || !password) {
+            throw new Error('Accounts need an email and a password');
+        }
+        if (role && !ROLES.includes(role)) {
+            throw new Error(`Invalid role for ${email}. Allowed: ${ROLES.join(', ')}`);
+        }
+        const now = new Date();
+        const account = {
+            uid: `local:${randomUUID()}`,
+            email: normalizeEmail(email),
+            name,
+            passwordHash: await hashPassword(String(password)),
+            createdAt: now,
+        };
+        const result = await this.db.collection('accounts').updateOne(
+            { email: account.email },
+            { $setOnInsert: account },
+            { upsert: true }
+        );
+        if (!result.upsertedCount) {
+            return false;
+        }
+        if (role) {
+            await this.db.collection('users').updateOne(
+                { uid: account.uid },
+                { $set: { role, updatedAt: now }, $setOnInsert: { uid: account.uid, email: account.email, displayName: name, firstSeenAt: now } },
+                { upsert: true }
+            );
+        }
+        return true;
+    }
+
+    async initializeAccounts() {
+        try {
+            await this.db.collection('accounts').createIndex({ email: 1 }, { unique: true });
+            await this.db.collection('accounts').createIndex({ uid: 1 }, { unique: true });
+            // Existing accounts keep their password, seeding only adds missing ones
+            for (const seed of parseSeedUsers()) {
+                if (await this.createAccount(seed)) {
+                    console.log(`Seeded account ${seed.email}${seed.role ? ` (${seed.role})` : ''}`);
+                }
+            }
+        } catch (error) {
+            console.error('Error initializing accounts:', error);
+            throw error;
+        }
+    }
+}
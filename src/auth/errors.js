@@ -0,0 +1,7 @@
+/**
+ * Errors shared by the auth registry and its providers. Kept apart from
+ * index.js, which imports every provider.
+ */
+import { UnauthorizedError } from '../errors.js';
+
+export const tokenError = (code, message) => new UnauthorizedError(message, { code });
@@ -0,0 +1,48 @@
+import admin from 'firebase-admin';
+import { initializeFirebase } from '../firebase.js';
+import { UpstreamError } from '../errors.js';
+import { tokenError } from './errors.js';
+
+// Also reject tokens issued before their refresh tokens were revoked (one extra Firebase call per request)
+const AUTH_CHECK_REVOKED = process.env.AUTH_CHECK_REVOKED === 'true';
+
+// Firebase error codes and the 401 reason reported for them
+const TOKEN_ERRORS = {
+    'auth/id-token-expired': ['TOKEN_EXPIRED', 'Token expired'],
+    'auth/id-token-revoked': ['TOKEN_REVOKED', 'Token revoked'],
+    'auth/user-disabled': ['USER_DISABLED', 'User disabled'],
+    'auth/user-not-found': ['TOKEN_INVALID', 'Invalid token'],
+    'auth/argument-error': ['TOKEN_INVALID', 'Invalid token'],
+    'auth/invalid-id-token': ['TOKEN_INVALID', 'Invalid token'],
+};
+
+/**
+ * Firebase Authentication: verifies ID tokens issued to the frontend by Firebase.
+ * Reads the Firebase credentials when it is created.
+ */
+export const createFirebaseAuthProvider = () => {
+    initializeFirebase();
+
+    return {
+        name: 'firebase',
+
+        async verifyToken(token) {
+            try {
+                return await admin.auth().verifyIdToken(token, AUTH_CHECK_REVOKED);
+            } catch (error) {
+                const known = TOKEN_ERRORS[error.code];
+                if (known) {
+                    throw tokenError(...known);
+                }
+                if (error.code === 'auth/internal-error' || error.code === 'app/network-error') {
+                    throw new UpstreamError('Authentication service unavailable', { status: 503, code: 'AUTH_UNAVAILABLE', cause: error });
+                }
+                // Any other auth/ code is a token we cannot trust; the rest are server errors
+                if (error.code?.startsWith('auth/')) {
+                    throw tokenError('TOKEN_INVALID', 'Invalid token');
+                }
+                throw error;
+            }
+        },
+    };
+};
@@ -0,0 +1,106 @@
+/**
+ * Auth provider registry
+ *
+ * Every provider implements:
+ *   verifyToken(token) -> decoded token { uid, email, email_verified, name, ... }
+ * and may implement:
+ *   issueToken({ uid, email, name }) -> { token, expiresAt }   (enables POST /api/auth/login)
+ *
+ * The provider is chosen with AUTH_PROVIDER (firebase or local).
+ */
+import { createFirebaseAuthProvider } from './firebase.js';
+import { createLocalAuthProvider } from './local.js';
+import { AppError, UnauthorizedError } from '../errors.js';
+import { tokenError } from './errors.js';
+
+export { tokenError };
+
+const factories = {
+    firebase: createFirebaseAuthProvider,
+    local: createLocalAuthProvider,
+};
+
+export const AUTH_PROVIDER = process.env.AUTH_PROVIDER || 'firebase';
+
+let provider = null;
+
+/**
+ * Get the configured auth provider, created on first use
+ */
+export const getAuthProvider = () => {
+    if (!factories[AUTH_PROVIDER]) {
+        throw new Error(`Unknown auth provider: ${AUTH_PROVIDER}`);
+    }
+    if (!provider) {
+        provider = factories[AUTH_PROVIDER]();
+    }
+    return provider;
+};
+
+/**
+ * Read the token of a request: `Authorization: Bearer <token>`, or the
+ * older `authtoken` header
+ * @returns {String|null} - null when no token was sent
+ * @throws {UnauthorizedError} - An Authorization header that is not a Bearer token
+ */
+export const getAuthToken = (req) => {
+    const authorization = req.get('Authorization');
+    if (authorization) {
+        const [scheme, token, ...rest] = authorization.trim().split(/\s+/);
+        if (scheme.toLowerCase() !== 'bearer' || !token || rest.length > 0) {
+            throw tokenError('TOKEN_MALFORMED', 'Authorization header must be "Bearer <token>"');
+        }
+        return token;
+    }
+    return req.get('authtoken') || null;
+};
+
+/**
+ * Build the auth middleware
+ * @param {Function} loadUser - Called with the decoded token, returns the user for req.user
+ *   (with its role); lets the server provision users once the database is connected
+ * @returns {Object} - { authenticate, requireAuth, optionalAuth }
+ */
+export const createAuth = (loadUser) => {
+    // Token of the request -> req.user, or null when no token was sent
+    const authenticate = async (req) => {
+        const token = getAuthToken(req);
+        if (!token) {
+            return null;
+        }
+        return loadUser(await getAuthProvider().verifyToken(token));
+    };
+
+    // Protected routes: a valid token is required, every failure is a 401 with its reason
+    const requireAuth = async (req, res, next) => {
+        try {
+            req.user = await authenticate(req);
+        } catch (error) {
+            if (error instanceof UnauthorizedError) {
+                res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+            }
+            return next(error);
+        }
+        if (!req.user) {
+            res.set('WWW-Authenticate', 'Bearer');
+            return next(tokenError('TOKEN_MISSING', 'Unauthorized'));
+        }
+        next();
+    };
+
+    // Public routes that personalize their response. A missing or unusable
+    // token makes the caller anonymous instead of failing the request.
+    const optionalAuth = async (req, res, next) => {
+        try {
+            req.user = await authenticate(req);
+        } catch (error) {
+            if (!(error instanceof AppError) || error.status >= 500) {
+                console.error('Optional authentication failed:', error);
+            }
+            req.user = null;
+        }
+        next();
+    };
+
+    return { authenticate, requireAuth, optionalAuth };
+};
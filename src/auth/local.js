@@ -0,0 +1,82 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { tokenError } from './errors.js';
+
+const ISSUER = 'portfolio-local';
+// Lifetime of an issued token
+const AUTH_TOKEN_TTL_HOURS = parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 12;
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decode = (part) => {
+    try {
+        return JSON.parse(Buffer.from(part, 'base64url').toString());
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Local accounts (for development and tests): HS256 JWTs signed with
+ * AUTH_JWT_SECRET. Tokens are issued by POST /api/auth/login and carry the
+ * same claims the rest of the API reads from Firebase tokens (uid, email, name).
+ */
+export const createLocalAuthProvider = () => {
+    let secret = process.env.AUTH_JWT_SECRET;
+    if (!secret) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('AUTH_JWT_SECRET is required for AUTH_PROVIDER=local in production');
+        }
+        // Tokens stop working when the process restarts
+        console.warn('AUTH_JWT_SECRET is not set, using a random secret for this process');
+        secret = randomBytes(32).toString('hex');
+    }
+
+    const sign = (content) => createHmac('sha256', secret).update(content).digest('base64url');
+
+    return {
+        name: 'local',
+
+        /**
+         * Sign a token for a local account
+         * @param {Object} account - { uid, email, name }
+         * @returns {Object} - { token, expiresAt }
+         */
+        issueToken({ uid, email, name = null }) {
+            const now = Math.floor(Date.now() / 1000);
+            const exp = now + Math.round(AUTH_TOKEN_TTL_HOURS * 60 * 60);
+            const content = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({ iss: ISSUER, sub: uid, email, name, iat: now, exp })}`;
+            return { token: `${content}.${sign(content)}`, expiresAt: new Date(exp * 1000) };
+        },
+
+        async verifyToken(token) {
+            const parts = token.split('.');
+            if (parts.length !== 3) {
+                throw tokenError('TOKEN_INVALID', 'Invalid token');
+            }
+            const [header, payload, signature] = parts;
+            const expected = Buffer.from(sign(`${header}.${payload}`));
+            const actual = Buffer.from(signature);
+            if (decode(header)?.alg !== 'HS256' || actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+                throw tokenError('TOKEN_INVALID', 'Invalid token');
+            }
+            const claims = decode(payload);
+            if (!claims?.sub || claims.iss !== ISSUER) {
+                throw tokenError('TOKEN_INVALID', 'Invalid token');
+            }
+            if (!(claims.exp > Date.now() / 1000)) {
+                throw tokenError('TOKEN_EXPIRED', 'Token expired');
+            }
+            // Shaped like a decoded Firebase token; local accounts are created by the
+            // operator, so their email counts as verified
+            return {
+                uid: claims.sub,
+                email: claims.email || null,
+                email_verified: Boolean(claims.email),
+                name: claims.name || null,
+                iat: claims.iat,
+                exp: claims.exp,
+                provider: 'local',
+            };
+        },
+    };
+};
@@ -0,0 +1,241 @@
+import { ObjectId } from 'mongodb';
+import { NotFoundError, ValidationError, UnauthorizedError, wrapError } from './errors.js';
+
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_COMMENT_LENGTH = 5000;
+
+// Convert a 24 character hex string to an ObjectId
+const toObjectId = (id) => {
+    if (typeof id !== 'string' || !id.match(/^[0-9a-fA-F]{24}$/)) {
+        throw new NotFoundError('Comment not found');
+    }
+    return new ObjectId(id);
+};
+
+// Nest replies under their parents
+const buildThreads = (roots, replies) => {
+    const byId = new Map();
+    [...roots, ...replies].forEach(comment => {
+        byId.set(comment._id.toString(), { ...comment, replies: [] });
+    });
+    replies.forEach(reply => {
+        const parent = byId.get(reply.parentId.toString());
+        // Replies whose parent is not visible are dropped with it
+        if (parent) {
+            parent.replies.push(byId.get(reply._id.toString()));
+        }
+    });
+    return roots.map(root => byId.get(root._id.toString()));
+};
+
+export class CommentsAPI {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // Paginated approved comments of an article with their replies
+    async getArticleComments(articleName, { page = 1, limit = 20 } = {}) {
+        try {
+            const comments = this.db.collection('comments');
+            const query = { articleName, parentId: null, status: 'approved' };
+
+            const [total, roots] = await Promise.all([
+                comments.countDocuments(query),
+                comments.find(query)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .toArray(),
+            ]);
+
+            const replies = roots.length === 0 ? [] : await comments.find({
+                rootId: { $in: roots.map(root => root._id) },
+                status: 'approved',
+            }).sort({ createdAt: 1 }).toArray();
+
+            return {
+                comments: buildThreads(roots, replies),
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            };
+        } catch (error) {
+            console.error('Error fetching comments:', error);
+            throw wrapError(error, 'Failed to fetch comments');
+        }
+    }
+
+    // Comments waiting for moderation, oldest first
+    async getCommentsByStatus(status = 'pending', { page = 1, limit = 20 } = {}) {
+        if (!COMMENT_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid status. Allowed: ${COMMENT_STATUSES.join(', ')}`);
+        }
+        try {
+            const comments = this.db.collection('comments');
+            const [total, items] = await Promise.all([
+                comments.countDocuments({ status }),
+                comments.find({ status })
+                    .sort({ createdAt: 1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .toArray(),
+            ]);
+            return { comments: items, page, limit, total, totalPages: Math.ceil(total / limit) };
+        } catch (error) {
+            console.error('Error fetching comments:', error);
+            throw wrapError(error, 'Failed to fetch comments');
+        }
+    }
+
+    // Add a pending comment or reply to a published article
+    async addComment(articleName, { text, parentId = null }, author) {
+        if (!author?.uid) {
+            throw new UnauthorizedError('not have uid');
+        }
+        const body = typeof text === 'string' ? text.trim() : '';
+        if (!body) {
+            throw new ValidationError('Comment text is required', [{ field: 'text', message: 'is required' }]);
+        }
+        if (body.length > MAX_COMMENT_LENGTH) {
+            throw new ValidationError(`Comment text must be at most ${MAX_COMMENT_LENGTH} characters`, [{ field: 'text', message: `must be at most ${MAX_COMMENT_LENGTH} characters` }]);
+        }
+
+        const article = await this.db.collection('articles').findOne({
+            articleName,
+            status: { $ne: 'draft' },
+        });
+        if (!article) {
+            throw new NotFoundError('Article not found');
+        }
+
+        let parent = null;
+        if (parentId) {
+            parent = await this.db.collection('comments').findOne({
+                _id: toObjectId(parentId),
+                articleName,
+            });
+            if (!parent) {
+                throw new NotFoundError('Parent comment not found');
+            }
+        }
+
+        const now = new Date();
+        const comment = {
+            articleName,
+            uid: author.uid,
+            authorName: author.name || null,
+            text: body,
+            parentId: parent ? parent._id : null,
+            rootId: parent ? (parent.rootId || parent._id) : null,
+            status: 'pending',
+            createdAt: now,
+            updatedAt: now,
+        };
+
+        try {
+            const result = await this.db.collection('comments').insertOne(comment);
+            return { ...comment, _id: result.insertedId };
+        } catch (error) {
+            console.error('Error adding comment:', error);
+            throw wrapError(error, 'Failed to add comment');
+        }
+    }
+
+    // Approve or reject a comment
+    async setCommentStatus(id, status, moderatorUid) {
+        if (!COMMENT_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid status. Allowed: ${COMMENT_STATUSES.join(', ')}`);
+        }
+        const _id = toObjectId(id);
+        try {
+            const updatedComment = await this.db.collection('comments').findOneAndUpdate(
+                { _id },
+                { $set: { status, moderatedBy: moderatorUid || null, moderatedAt: new Date(), updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+            if (!updatedComment) {
+                throw new NotFoundError('Comment not found');
+            }
+            return updatedComment;
+        } catch (error) {
+            console.error('Error moderating comment:', error);
+            throw wrapError(error, 'Failed to moderate comment');
+        }
+    }
+
+    // Delete a comment together with every reply below it
+    async deleteComment(id) {
+        const _id = toObjectId(id);
+        try {
+            const comments = this.db.collection('comments');
+            const comment = await comments.findOne({ _id });
+            if (!comment) {
+                throw new NotFoundError('Comment not found');
+            }
+
+            const toDelete = [_id];
+            let frontier = [_id];
+            while (frontier.length > 0) {
+                const children = await comments.find(
+                    { parentId: { $in: frontier } },
+                    { projection: { _id: 1 } }
+                ).toArray();
+                frontier = children.map(child => child._id);
+                toDelete.push(...frontier);
+            }
+
+            const result = await comments.deleteMany({ _id: { $in: toDelete } });
+            return { success: true, deletedCount: result.deletedCount, message: 'Comment deleted successfully' };
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            throw wrapError(error, 'Failed to delete comment');
+        }
+    }
+
+    // Remove all comments of a deleted article
+    async deleteArticleComments(articleName) {
+        try {
+            const result = await this.db.collection('comments').deleteMany({ articleName });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('Error deleting article comments:', error);
+            throw wrapError(error, 'Failed to delete comments');
+        }
+    }
+
+    // Create indexes and move legacy string comments out of articles
+    async initializeComments() {
+        try {
+            const comments = this.db.collection('comments');
+            await comments.createIndex({ articleName: 1, parentId: 1, status: 1, createdAt: -1 });
+            await comments.createIndex({ rootId: 1 });
+            await comments.createIndex({ status: 1, createdAt: 1 });
+
+            const articles = this.db.collection('articles');
+            const legacy = await articles.find({ 'comments.0': { $exists: true } }).toArray();
+            for (const article of legacy) {
+                const migrated = article.comments.map(comment => ({
+                    articleName: article.articleName,
+                    uid: comment?.uid || null,
+                    authorName: comment?.postedBy || null,
+                    text: typeof comment === 'string' ? comment : String(comment?.text ?? ''),
+                    parentId: null,
+                    rootId: null,
+                    // Legacy comments were already public
+                    status: 'approved',
+                    createdAt: new Date(),
+                    updatedAt: new Date(),
+                }));
+                await comments.insertMany(migrated);
+                await articles.updateOne({ _id: article._id }, { $unset: { comments: '' } });
+            }
+            if (legacy.length > 0) {
+                console.log(`Migrated comments of ${legacy.length} articles`);
+            }
+        } catch (error) {
+            console.error('Error initializing comments:', error);
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * Error middleware: answers every error with the JSON envelope described in errors.js
+ */
+import multer from 'multer';
+import { AppError, ValidationError } from './errors.js';
+
+/**
+ * Turn errors thrown by the libraries in front of our handlers into domain errors
+ * @param {Error} error - Any error that reached the middleware
+ * @returns {AppError}
+ */
+export const toAppError = (error) => {
+    if (error instanceof AppError) {
+        return error;
+    }
+    if (error instanceof multer.MulterError) {
+        return error.code === 'LIMIT_FILE_SIZE'
+            ? new AppError('File is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' })
+            : new ValidationError(error.message, error.field ? [{ field: error.field, message: error.message }] : null);
+    }
+    // express.json() failures
+    if (error.type === 'entity.parse.failed') {
+        return new ValidationError('Malformed JSON body', null, { code: 'INVALID_JSON' });
+    }
+    if (error.type === 'entity.too.large') {
+        return new AppError('Request body is too large', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+    }
+    return new AppError('Internal server error', { cause: error });
+};
+
+// Every error ends here and is answered with the same envelope; registered after all routes
+export const errorHandler = () => (error, req, res, next) => {
+    const appError = toAppError(error);
+    if (appError.status >= 500) {
+        console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error);
+    }
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (appError.status === 503) {
+        res.set('Retry-After', '30');
+    }
+    // Where a resumable upload has to continue
+    if (appError.details?.offset !== undefined) {
+        res.set('Upload-Offset', String(appError.details.offset));
+    }
+    res.status(appError.status).json({
+        error: appError.message,
+        code: appError.code,
+        requestId: req.id,
+        ...appError.details,
+    });
+};
@@ -0,0 +1,86 @@
+/**
+ * Domain errors. API classes throw these, and the error middleware in
+ * errorHandler.js turns them into the JSON error envelope:
+ *
+ *   { error: message, code, requestId, ...details }
+ */
+
+export class AppError extends Error {
+    /**
+     * @param {String} message - Shown to the client
+     * @param {Object} options - status (HTTP), code (stable, machine-readable),
+     *   details (extra envelope fields), cause
+     */
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message = 'Not found', options = {}) {
+        super(message, { status: 404, code: 'NOT_FOUND', ...options });
+        this.name = 'NotFoundError';
+    }
+}
+
+// Bad input. fields lists every failing field as { field, message }
+export class ValidationError extends AppError {
+    constructor(message = 'Validation failed', fields = null, options = {}) {
+        super(message, { status: 400, code: 'VALIDATION_FAILED', details: fields ? { fields } : null, ...options });
+        this.name = 'ValidationError';
+        this.fields = fields;
+    }
+}
+
+// The request clashes with the current state (duplicates, repeated votes, stale offsets)
+export class ConflictError extends AppError {
+    constructor(message = 'Conflict', options = {}) {
+        super(message, { status: 409, code: 'CONFLICT', ...options });
+        this.name = 'ConflictError';
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    constructor(message = 'Unauthorized', options = {}) {
+        super(message, { status: 401, code: 'UNAUTHORIZED', ...options });
+        this.name = 'UnauthorizedError';
+    }
+}
+
+export class ForbiddenError extends AppError {
+    constructor(message = 'Forbidden', options = {}) {
+        super(message, { status: 403, code: 'FORBIDDEN', ...options });
+        this.name = 'ForbiddenError';
+    }
+}
+
+// A service we depend on (storage, identity provider) failed; 503 when it is worth retrying later
+export class UpstreamError extends AppError {
+    constructor(message = 'Upstream service failed', options = {}) {
+        super(message, { status: 502, code: 'UPSTREAM_ERROR', ...options });
+        this.name = 'UpstreamError';
+    }
+}
+
+// The resource has a new identifier (e.g. a renamed slug), routes answer with a redirect
+export class MovedError extends AppError {
+    constructor(message, target, options = {}) {
+        super(message, { status: 301, code: 'MOVED', details: { target }, ...options });
+        this.name = 'MovedError';
+        this.target = target;
+    }
+}
+
+/**
+ * Keep domain errors, replace anything else (driver errors, bugs) with a
+ * generic 500 so internals do not leak to clients
+ * @param {Error} error - Caught error
+ * @param {String} message - Message of the generic error
+ */
+export const wrapError = (error, message) => {
+    return error instanceof AppError ? error : new AppError(message, { cause: error });
+};
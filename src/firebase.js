@@ -0,0 +1,24 @@
+import admin from 'firebase-admin';
+import fs from 'fs';
+
+/**
+ * Initialize the Firebase Admin app once per process, from FIREBASE_CREDENTIALS
+ * in production or ./credentials.json in development
+ */
+export const initializeFirebase = () => {
+    if (admin.apps.length > 0) {
+        return admin.app();
+    }
+    let credentials;
+    if (process.env.FIREBASE_CREDENTIALS) {
+        // Use environment variable in production
+        credentials = JSON.parse(process.env.FIREBASE_CREDENTIALS);
+    } else {
+        // Use local file in development
+        credentials = JSON.parse(fs.readFileSync('./credentials.json'));
+    }
+    return admin.initializeApp({
+        credential: admin.credential.cert(credentials),
+        storageBucket: credentials.project_id + '.appspot.com' // Add storage bucket
+    });
+};
@@ -0,0 +1,168 @@
+import sharp from 'sharp';
+import { AppError } from './errors.js';
+
+// Responsive widths and extra formats, configurable per deployment
+const IMAGE_SIZES = (process.env.IMAGE_SIZES || '320,640,1280,1920')
+    .split(',')
+    .map(size => parseInt(size))
+    .filter(size => size > 0)
+    .sort((a, b) => a - b);
+const IMAGE_FORMATS = (process.env.IMAGE_FORMATS || 'webp')
+    .split(',')
+    .map(format => format.trim())
+    .filter(format => ['webp', 'avif'].includes(format));
+// Largest edge kept for the main image
+const MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION) || 2560;
+// Input limits against decompression bombs (a small file that decodes to a huge bitmap)
+const MAX_INPUT_DIMENSION = parseInt(process.env.IMAGE_MAX_INPUT_DIMENSION) || 12000;
+const MAX_INPUT_PIXELS = parseInt(process.env.IMAGE_MAX_INPUT_PIXELS) || 50000000;
+
+// Leading bytes of every accepted format
+const SIGNATURES = [
+    { format: 'jpeg', test: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+    { format: 'png', test: (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+    { format: 'gif', test: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6)) },
+    { format: 'webp', test: (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP' },
+];
+
+const CONTENT_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    gif: 'image/gif',
+};
+
+const ENCODE_OPTIONS = {
+    jpeg: { quality: 82, mozjpeg: true },
+    png: { compressionLevel: 9 },
+    webp: { quality: 80 },
+    avif: { quality: 55 },
+};
+
+const IMAGE_ERROR_CODES = {
+    400: 'INVALID_IMAGE',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+};
+
+/**
+ * Rejected image: the content is not an accepted format, cannot be
+ * decoded or is too large. status is the HTTP status to answer with.
+ */
+export class ImageError extends AppError {
+    constructor(message, status = 400) {
+        super(message, { status, code: IMAGE_ERROR_CODES[status] || 'INVALID_IMAGE' });
+        this.name = 'ImageError';
+    }
+}
+
+/**
+ * Detect the image format from the file content, ignoring the declared type
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {String|null} - jpeg, png, gif or webp, null for anything else
+ */
+export const detectImageType = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+        return null;
+    }
+    return SIGNATURES.find(signature => signature.test(buffer))?.format || null;
+};
+
+// Encode a resized copy; metadata is dropped because withMetadata() is never used
+const encode = async (buffer, format, width = null) => {
+    let pipeline = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    pipeline = width
+        ? pipeline.resize({ width, withoutEnlargement: true })
+        : pipeline.resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true });
+    const { data, info } = await pipeline.toFormat(format, ENCODE_OPTIONS[format]).toBuffer({ resolveWithObject: true });
+    return {
+        buffer: data,
+        width: info.width,
+        height: info.height,
+        format,
+        contentType: CONTENT_TYPES[format],
+        size: data.length,
+    };
+};
+
+/**
+ * Prepare an uploaded image for the web: checks its content and size,
+ * applies the EXIF orientation, strips EXIF/GPS metadata, caps the size,
+ * and renders responsive widths in the original format plus WebP (and
+ * AVIF when enabled).
+ * Animated GIFs are kept as they are.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<Object>} - { original, variants } with buffer, width, height, format, contentType, size
+ * @throws {ImageError} - Unsupported content (415), too many pixels (413) or undecodable file (400)
+ */
+export const processImage = async (buffer) => {
+    const format = detectImageType(buffer);
+    if (!format) {
+        throw new ImageError('Unsupported file content. Only JPEG, PNG, GIF, and WebP images are allowed.', 415);
+    }
+
+    let metadata;
+    try {
+        // Reads the header only, nothing is decoded yet
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new ImageError('Invalid image file');
+    }
+    const frameHeight = metadata.pageHeight || metadata.height;
+    const pixels = metadata.width * frameHeight * (metadata.pages || 1);
+    if (metadata.width > MAX_INPUT_DIMENSION || frameHeight > MAX_INPUT_DIMENSION || pixels > MAX_INPUT_PIXELS) {
+        throw new ImageError(`Image is too large. Maximum is ${MAX_INPUT_DIMENSION}px per side and ${MAX_INPUT_PIXELS} pixels.`, 413);
+    }
+
+    if (format === 'gif') {
+        return {
+            original: {
+                buffer,
+                width: metadata.width,
+                height: frameHeight,
+                format: 'gif',
+                contentType: CONTENT_TYPES.gif,
+                size: buffer.length,
+            },
+            variants: [],
+        };
+    }
+
+    let original;
+    try {
+        original = await encode(buffer, format);
+    } catch (error) {
+        throw new ImageError('Invalid image file');
+    }
+
+    // Only widths smaller than the main image are worth a variant
+    const widths = IMAGE_SIZES.filter(width => width < original.width);
+    const variants = [];
+    for (const width of widths) {
+        for (const variantFormat of [format, ...IMAGE_FORMATS.filter(extra => extra !== format)]) {
+            variants.push(await encode(original.buffer, variantFormat, width));
+        }
+    }
+    // Full-size copies in the modern formats
+    for (const variantFormat of IMAGE_FORMATS.filter(extra => extra !== format)) {
+        variants.push(await encode(original.buffer, variantFormat));
+    }
+
+    return { original, variants };
+};
+
+/**
+ * Storage key of a variant, next to the main image key
+ * ('images/1-photo.jpg' -> 'images/1-photo-640w.webp')
+ */
+export const variantKey = (key, { width, format }) => {
+    return `${key.replace(/\.[^./]+$/, '')}-${width}w.${extensionFor(format)}`;
+};
+
+// Keep the key extension in line with the encoded format
+export const withExtension = (key, format) => {
+    return `${key.replace(/\.[^./]+$/, '')}.${extensionFor(format)}`;
+};
+
+const extensionFor = (format) => (format === 'jpeg' ? 'jpg' : format);
@@ -0,0 +1,26 @@
+import { marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// Tags and attributes allowed in rendered article bodies
+const sanitizeOptions = {
+    allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2', 'del']),
+    allowedAttributes: {
+        ...sanitizeHtml.defaults.allowedAttributes,
+        img: ['src', 'alt', 'title', 'width', 'height'],
+        code: ['class'],
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+};
+
+/**
+ * Render markdown to sanitized HTML
+ * @param {String} markdown - Raw markdown source
+ * @returns {String} - HTML safe to embed in the frontend
+ */
+export const renderMarkdown = (markdown) => {
+    if (!markdown) {
+        return '';
+    }
+    const html = marked.parse(markdown, { gfm: true });
+    return sanitizeHtml(html, sanitizeOptions);
+};
@@ -1,38 +1,126 @@
+import { validate } from './validation.js';
+import { profileSchema } from './schemas.js';
+import { RevisionsAPI } from './revisions.js';
+import { NotFoundError, wrapError } from './errors.js';
+
+// Fields a user may edit on their own profile
+const PROFILE_FIELDS = Object.keys(profileSchema.fields).filter(field => !profileSchema.fields[field].readOnly);
+
+// Owner fields shown on the public site
+const OWNER_PUBLIC_FIELDS = [...PROFILE_FIELDS, 'updatedAt'];
+
+// Query for the portfolio owner's profile
+const OWNER_QUERY = { role: { $in: ['admin', 'owner'] } };
+
 export class MeAPI {
     constructor(db) {
         this.db = db;
+        this.revisions = new RevisionsAPI(db);
     }
-    
-    async getMe() {
+
+    // Public, read-only profile of the portfolio owner
+    async getOwnerProfile() {
+        try {
+            const owner = await this.db.collection('me').findOne(OWNER_QUERY);
+            if (!owner) {
+                throw new NotFoundError('Owner profile not found');
+            }
+            const profile = {};
+            OWNER_PUBLIC_FIELDS.forEach(field => {
+                if (owner[field] !== undefined) {
+                    profile[field] = owner[field];
+                }
+            });
+            return profile;
+        } catch (error) {
+            console.error('Error fetching owner profile:', error);
+            throw wrapError(error, 'Failed to fetch owner profile');
+        }
+    }
+
+    // Profile of the authenticated caller. Callers who never saved a
+    // profile get one built from their token.
+    async getMe(tokenUser) {
         try {
-            const user = await this.db.collection('me').findOne();
-            return user;
+            const profile = await this.db.collection('me').findOne({ uid: tokenUser.uid });
+            if (profile) {
+                return { ...profile, role: tokenUser.role };
+            }
+            return {
+                uid: tokenUser.uid,
+                name: tokenUser.name || null,
+                email: tokenUser.email || null,
+                profilePicture: tokenUser.picture || null,
+                role: tokenUser.role,
+            };
         } catch (error) {
             console.error('Error fetching user:', error);
-            throw new Error('Failed to fetch user');
+            throw wrapError(error, 'Failed to fetch user');
         }
     }
 
-    async updateMe(updatedData) {
+    // Update the caller's own profile with allowlisted, validated fields
+    async updateMe(tokenUser, updatedData) {
+        // _id, uid and role are read-only in the schema and never written
+        const updateFields = validate(profileSchema, updatedData, { partial: true });
+        return this.writeProfile(tokenUser, { $set: updateFields }, 'update');
+    }
+
+    // Apply an update to the caller's profile and record a revision
+    async writeProfile(tokenUser, update, action) {
         try {
-            // Only update the fields that are provided, add updatedAt timestamp
-            const updateFields = { ...updatedData, updatedAt: new Date() };
-            
-            const result = await this.db.collection('me').findOneAndUpdate(
-                {}, // Find the first document (assuming single user profile)
-                { $set: updateFields }, // Only set the provided fields
-                { returnDocument: 'after', upsert: false } // Don't create if doesn't exist
+            const profiles = this.db.collection('me');
+            const before = await profiles.findOne({ uid: tokenUser.uid });
+            const now = new Date();
+            const result = await profiles.findOneAndUpdate(
+                { uid: tokenUser.uid },
+                {
+                    ...update,
+                    $set: { ...update.$set, updatedAt: now },
+                    $setOnInsert: { uid: tokenUser.uid, createdAt: now },
+                },
+                { returnDocument: 'after', upsert: true }
             );
-            return result;
+            await this.revisions.recordRevision('profile', before, result, tokenUser, action);
+            return { ...result, role: tokenUser.role };
         } catch (error) {
             console.error('Error updating user:', error);
-            throw new Error('Failed to update user');
+            throw wrapError(error, 'Failed to update user');
+        }
+    }
+
+    // Revision history of the caller's profile
+    async getMeRevisions(tokenUser, pagination = {}) {
+        const profile = await this.db.collection('me').findOne({ uid: tokenUser.uid }, { projection: { _id: 1 } });
+        if (!profile) {
+            return { revisions: [], page: pagination.page || 1, limit: pagination.limit || 20, total: 0, totalPages: 0 };
         }
+        return this.revisions.getRevisions('profile', profile._id, pagination);
+    }
+
+    // Bring the caller's profile back to a saved revision
+    async restoreMeRevision(tokenUser, revisionId) {
+        const profile = await this.db.collection('me').findOne({ uid: tokenUser.uid }, { projection: { _id: 1 } });
+        if (!profile) {
+            throw new NotFoundError('Revision not found');
+        }
+        const revision = await this.revisions.getRevision('profile', profile._id, revisionId);
+
+        const $set = {};
+        const $unset = {};
+        PROFILE_FIELDS.forEach(field => {
+            if (revision.snapshot[field] !== undefined) {
+                $set[field] = revision.snapshot[field];
+            } else {
+                $unset[field] = '';
+            }
+        });
+        return this.writeProfile(tokenUser, Object.keys($unset).length > 0 ? { $set, $unset } : { $set }, 'restore');
     }
 
     async initializeMe() {
         try {
-            const existingUser = await this.db.collection('me').countDocuments();
+            const existingUser = await this.db.collection('me').countDocuments(OWNER_QUERY);
             if (existingUser === 0) {
                 const defaultUser = {
                     name: 'Azizjon Nigmatjonov',
@@ -49,6 +137,7 @@ export class MeAPI {
                 await this.db.collection('me').insertOne(defaultUser);
                 console.log('Default user profile created');
             }
+            await this.db.collection('me').createIndex({ uid: 1 }, { unique: true, sparse: true });
         } catch (error) {
             console.error('Error initializing user profile:', error);
             throw error;
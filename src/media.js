@@ -0,0 +1,429 @@
+import { ObjectId, GridFSBucket, MongoRuntimeError } from 'mongodb';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { uploadStream, getStorage, buildKey, canStoreMedia } from './storage/index.js';
+import { AppError, NotFoundError, ValidationError, ConflictError, wrapError } from './errors.js';
+
+// Staged chunks live in GridFS until the upload is complete, so every instance sees them
+const STAGING_BUCKET = 'uploadChunks';
+const MEDIA_MAX_SIZE = parseInt(process.env.MEDIA_MAX_SIZE) || 500 * 1024 * 1024;
+const MEDIA_MAX_CHUNK_SIZE = parseInt(process.env.MEDIA_MAX_CHUNK_SIZE) || 16 * 1024 * 1024;
+// Unfinished uploads are dropped after this many hours without a chunk
+const MEDIA_UPLOAD_TTL_HOURS = parseInt(process.env.MEDIA_UPLOAD_TTL_HOURS) || 24;
+// A chunk write that never finished (crashed process) stops blocking the session after this
+const CHUNK_LOCK_MS = 5 * 60 * 1000;
+// Same for a completion that never finished; moving 500MB to storage can take a while
+const COMPLETE_LOCK_MS = 60 * 60 * 1000;
+
+// A session stuck in `completing` (crashed process) can be completed again, aborted or expired
+const staleCompletion = (now = new Date()) => ({ status: 'completing', updatedAt: { $lt: new Date(now.getTime() - COMPLETE_LOCK_MS) } });
+
+// Accepted media and how to recognize their content. Images are not media: they go through
+// /api/upload-image, which strips metadata, limits pixels and deduplicates them.
+export const MEDIA_TYPES = {
+    'video/mp4': (header) => header.toString('latin1', 4, 8) === 'ftyp',
+    'video/quicktime': (header) => ['ftyp', 'moov', 'mdat', 'wide', 'free'].includes(header.toString('latin1', 4, 8)),
+    'video/webm': (header) => header.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])),
+    'application/pdf': (header) => header.toString('latin1', 0, 5) === '%PDF-',
+};
+
+const toObjectId = (id, message) => {
+    if (typeof id !== 'string' || !id.match(/^[0-9a-fA-F]{24}$/)) {
+        throw new NotFoundError(message);
+    }
+    return new ObjectId(id);
+};
+
+// The client has to resume at the stored offset, sent back as Upload-Offset
+const offsetError = (message, offset, code = 'UPLOAD_OFFSET_MISMATCH') => new ConflictError(message, { code, details: { offset } });
+
+const getExpiry = () => new Date(Date.now() + MEDIA_UPLOAD_TTL_HOURS * 60 * 60 * 1000);
+
+// Public fields of an upload session
+const toSessionStatus = (session) => ({
+    id: session._id,
+    fileName: session.fileName,
+    contentType: session.contentType,
+    folder: session.folder,
+    size: session.size,
+    offset: session.offset,
+    status: session.status,
+    mediaId: session.mediaId || null,
+    maxChunkSize: MEDIA_MAX_CHUNK_SIZE,
+    expiresAt: session.expiresAt,
+});
+
+// Pass bytes through, failing once more than `limit` bytes went by
+const byteCounter = (limit) => {
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            counter.bytes += chunk.length;
+            if (counter.bytes > limit) {
+                callback(new ValidationError('Chunk exceeds the declared length'));
+            } else {
+                callback(null, chunk);
+            }
+        },
+    });
+    counter.bytes = 0;
+    return counter;
+};
+
+/**
+ * Resumable chunked uploads for large media (videos, PDFs, documents).
+ *
+ * 1. createSession() registers the file and its total size
+ * 2. appendChunk() stages the next bytes at the session offset; a failed
+ *    chunk is discarded and can be sent again from the same offset
+ * 3. completeUpload() streams the staged chunks to storage and records it in `media`
+ *
+ * Each chunk is one GridFS file of the `uploadChunks` bucket (metadata
+ * { sessionId, offset }). A chunk counts once the session offset moved past
+ * it; the one being written is remembered as pendingChunkId so its pieces can
+ * be dropped if the write fails or the process dies.
+ */
+export class MediaAPI {
+    constructor(db) {
+        this.db = db;
+        this.staging = new GridFSBucket(db, { bucketName: STAGING_BUCKET });
+    }
+
+    // Drop a staged chunk, including the pieces of one whose write never finished
+    async dropChunk(id) {
+        try {
+            await this.staging.delete(id);
+        } catch (error) {
+            if (!(error instanceof MongoRuntimeError)) {
+                throw error;
+            }
+        }
+    }
+
+    // Drop every staged chunk of a session
+    async dropStaged(session) {
+        const chunks = await this.staging.find({ 'metadata.sessionId': session._id }, { projection: { _id: 1 } }).toArray();
+        const ids = chunks.map(chunk => chunk._id);
+        if (session.pendingChunkId && !ids.some(id => id.equals(session.pendingChunkId))) {
+            ids.push(session.pendingChunkId);
+        }
+        for (const id of ids) {
+            await this.dropChunk(id);
+        }
+    }
+
+    // Bytes of the received chunks in order, read one chunk at a time
+    async *readStaged(session) {
+        const chunks = await this.staging.find(
+            { 'metadata.sessionId': session._id, 'metadata.offset': { $lt: session.offset } },
+            { sort: { 'metadata.offset': 1 } }
+        ).toArray();
+        for (const chunk of chunks) {
+            yield* this.staging.openDownloadStream(chunk._id);
+        }
+    }
+
+    // Session of the caller; other users' sessions are reported as missing
+    async getSession(id, user) {
+        const _id = toObjectId(id, 'Upload not found');
+        const session = await this.db.collection('uploadSessions').findOne({ _id, uid: user.uid });
+        if (!session) {
+            throw new NotFoundError('Upload not found');
+        }
+        return session;
+    }
+
+    async getUploadStatus(id, user) {
+        return toSessionStatus(await this.getSession(id, user));
+    }
+
+    /**
+     * Start an upload
+     * @param {Object} data - fileName, contentType, size (bytes), folder
+     * @param {Object} user - Verified token user
+     */
+    async createSession({ fileName, contentType, size, folder = null }, user) {
+        if (typeof contentType === 'string' && contentType.startsWith('image/')) {
+            throw new AppError('Images are uploaded with POST /api/upload-image', { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+        }
+        if (!MEDIA_TYPES[contentType]) {
+            throw new AppError(`Unsupported media type. Allowed: ${Object.keys(MEDIA_TYPES).join(', ')}`, { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+        }
+        if (size > MEDIA_MAX_SIZE) {
+            throw new AppError(`File is too large. Maximum is ${MEDIA_MAX_SIZE} bytes`, { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+        }
+        // Refuse before any chunk is sent rather than when the upload is completed
+        if (!canStoreMedia()) {
+            throw new AppError('No storage driver for media is configured', { status: 503, code: 'MEDIA_STORAGE_UNAVAILABLE' });
+        }
+        const now = new Date();
+        const session = {
+            uid: user.uid,
+            fileName,
+            contentType,
+            size,
+            folder: folder || 'media',
+            offset: 0,
+            status: 'uploading',
+            lockedAt: null,
+            pendingChunkId: null,
+            createdAt: now,
+            updatedAt: now,
+            expiresAt: getExpiry(),
+        };
+        try {
+            const result = await this.db.collection('uploadSessions').insertOne(session);
+            session._id = result.insertedId;
+            return toSessionStatus(session);
+        } catch (error) {
+            console.error('Error creating upload session:', error);
+            throw wrapError(error, 'Failed to create upload');
+        }
+    }
+
+    /**
+     * Write one chunk at the given offset
+     * @param {String} id - Session id
+     * @param {Number} offset - Byte offset the chunk starts at, must equal the session offset
+     * @param {Number} length - Chunk length in bytes (Content-Length)
+     * @param {Readable} stream - Chunk bytes, streamed to GridFS
+     * @param {Object} user - Verified token user
+     */
+    async appendChunk(id, offset, length, stream, user) {
+        const session = await this.getSession(id, user);
+        if (session.status !== 'uploading') {
+            throw new ConflictError('Upload already completed');
+        }
+        if (!Number.isInteger(offset) || offset !== session.offset) {
+            throw offsetError('Upload offset mismatch', session.offset);
+        }
+        if (!Number.isInteger(length) || length <= 0) {
+            throw new ValidationError('Invalid chunk length');
+        }
+        if (length > MEDIA_MAX_CHUNK_SIZE) {
+            throw new AppError(`Chunk is too large. Maximum is ${MEDIA_MAX_CHUNK_SIZE} bytes`, { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+        }
+        if (offset + length > session.size) {
+            throw new ValidationError('Chunk exceeds the upload size');
+        }
+
+        // Only one chunk of a session is written at a time
+        const sessions = this.db.collection('uploadSessions');
+        const chunkId = new ObjectId();
+        const previous = await sessions.findOneAndUpdate(
+            {
+                _id: session._id,
+                status: 'uploading',
+                offset,
+                $or: [{ lockedAt: null }, { lockedAt: { $lt: new Date(Date.now() - CHUNK_LOCK_MS) } }],
+            },
+            { $set: { lockedAt: new Date(), pendingChunkId: chunkId } },
+            { returnDocument: 'before' }
+        );
+        if (!previous) {
+            throw offsetError('Upload offset mismatch', session.offset);
+        }
+
+        const counter = byteCounter(length);
+        try {
+            // Drop bytes of an earlier write at this offset that never finished
+            if (previous.pendingChunkId) {
+                await this.dropChunk(previous.pendingChunkId);
+            }
+            await pipeline(stream, counter, this.staging.openUploadStreamWithId(chunkId, `${session._id}-${offset}`, {
+                metadata: { sessionId: session._id, offset, length },
+            }));
+            if (counter.bytes !== length) {
+                throw new ValidationError('Chunk is shorter than the declared length');
+            }
+        } catch (error) {
+            // Pieces still in flight are dropped by the next write, so pendingChunkId stays set
+            await this.dropChunk(chunkId).catch(() => {});
+            await sessions.updateOne({ _id: session._id, pendingChunkId: chunkId }, { $set: { lockedAt: null } });
+            console.error('Error writing upload chunk:', error);
+            throw wrapError(error, 'Failed to write chunk');
+        }
+
+        const updated = await sessions.findOneAndUpdate(
+            { _id: session._id, pendingChunkId: chunkId },
+            {
+                $set: { offset: offset + length, lockedAt: null, pendingChunkId: null, updatedAt: new Date(), expiresAt: getExpiry() },
+            },
+            { returnDocument: 'after' }
+        );
+        if (!updated) {
+            // The lock went stale and another request took over this offset
+            await this.dropChunk(chunkId);
+            throw offsetError('Upload offset mismatch', (await this.getSession(id, user)).offset);
+        }
+        return toSessionStatus(updated);
+    }
+
+    /**
+     * Move the staged chunks of a fully uploaded file to storage and record it in `media`
+     * @returns {Promise<Object>} - The media record
+     */
+    async completeUpload(id, user) {
+        const session = await this.getSession(id, user);
+        if (session.status === 'completed') {
+            return this.getMediaById(session.mediaId.toString());
+        }
+        if (session.offset !== session.size) {
+            throw offsetError('Upload incomplete', session.offset, 'UPLOAD_INCOMPLETE');
+        }
+
+        const sessions = this.db.collection('uploadSessions');
+        const claimed = await sessions.findOneAndUpdate(
+            { _id: session._id, $or: [{ status: 'uploading', lockedAt: null }, staleCompletion()] },
+            { $set: { status: 'completing', updatedAt: new Date() } },
+            { returnDocument: 'after' }
+        );
+        if (!claimed) {
+            throw new ConflictError('Upload is already being completed');
+        }
+
+        try {
+            // The declared type has to match the content
+            let header = Buffer.alloc(0);
+            for await (const data of this.readStaged(claimed)) {
+                header = Buffer.concat([header, data]);
+                if (header.length >= 16) {
+                    break;
+                }
+            }
+            if (!MEDIA_TYPES[session.contentType]?.(header)) {
+                throw new AppError('File content does not match its type', { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' });
+            }
+
+            const stored = await uploadStream(() => Readable.from(this.readStaged(claimed)), {
+                key: buildKey(session.folder, session.fileName),
+                contentType: session.contentType,
+                size: session.size,
+                originalName: session.fileName,
+            });
+
+            const media = {
+                url: stored.url,
+                originalName: session.fileName,
+                folder: session.folder,
+                driver: stored.driver,
+                key: stored.key,
+                contentType: session.contentType,
+                size: session.size,
+                uploadedBy: session.uid,
+                uploadedAt: new Date(),
+            };
+            const result = await this.db.collection('media').insertOne(media);
+            media._id = result.insertedId;
+
+            await sessions.updateOne(
+                { _id: session._id },
+                { $set: { status: 'completed', mediaId: media._id, updatedAt: new Date() } }
+            );
+            await this.dropStaged(claimed);
+            return media;
+        } catch (error) {
+            // Let the client retry or abort
+            await sessions.updateOne({ _id: session._id }, { $set: { status: 'uploading', updatedAt: new Date() } });
+            console.error('Error completing upload:', error);
+            throw wrapError(error, 'Failed to complete upload');
+        }
+    }
+
+    // Cancel an upload and drop its staged bytes
+    async abortUpload(id, user) {
+        const session = await this.getSession(id, user);
+        const sessions = this.db.collection('uploadSessions');
+        const removed = await sessions.findOneAndDelete({
+            _id: session._id,
+            $or: [{ status: { $ne: 'completing' } }, staleCompletion()],
+        });
+        if (!removed) {
+            throw new ConflictError('Upload is already being completed');
+        }
+        await this.dropStaged(removed);
+        return { success: true, message: 'Upload cancelled' };
+    }
+
+    // Remove sessions (and staged chunks) that saw no chunk for MEDIA_UPLOAD_TTL_HOURS,
+    // and completions that were abandoned half-way
+    async expireSessions(now = new Date()) {
+        try {
+            const sessions = this.db.collection('uploadSessions');
+            const expired = await sessions.find({
+                $or: [{ expiresAt: { $lt: now }, status: { $ne: 'completing' } }, staleCompletion(now)],
+            }).toArray();
+            for (const session of expired) {
+                await this.dropStaged(session);
+            }
+            if (expired.length > 0) {
+                await sessions.deleteMany({ _id: { $in: expired.map(session => session._id) } });
+                console.log(`Expired ${expired.length} upload sessions`);
+            }
+            return expired.length;
+        } catch (error) {
+            console.error('Error expiring upload sessions:', error);
+            throw error;
+        }
+    }
+
+    // Paginated media library, newest first
+    async getAllMedia({ folder = null, type = null, page = 1, limit = 50 } = {}) {
+        try {
+            const query = {};
+            if (folder) {
+                query.folder = folder;
+            }
+            if (type) {
+                // 'video' matches every video/* type
+                query.contentType = type.includes('/') ? type : { $regex: `^${type.replace(/[^a-z]/g, '')}/` };
+            }
+            const [total, media] = await Promise.all([
+                this.db.collection('media').countDocuments(query),
+                this.db.collection('media').find(query)
+                    .sort({ uploadedAt: -1, _id: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .toArray(),
+            ]);
+            return { media, page, limit, total, totalPages: Math.ceil(total / limit) };
+        } catch (error) {
+            console.error('Error fetching media:', error);
+            throw error;
+        }
+    }
+
+    async getMediaById(id) {
+        const _id = toObjectId(id, 'Media not found');
+        const media = await this.db.collection('media').findOne({ _id });
+        if (!media) {
+            throw new NotFoundError('Media not found');
+        }
+        return media;
+    }
+
+    // Delete a media file from its storage and its record
+    async deleteMedia(id) {
+        const media = await this.getMediaById(id);
+        try {
+            await getStorage(media.driver).delete(media.key);
+        } catch (error) {
+            console.error('Error deleting media from storage:', error);
+            // Continue with DB deletion even if storage deletion fails
+        }
+        await this.db.collection('media').deleteOne({ _id: media._id });
+        return { success: true, message: 'Media deleted successfully' };
+    }
+
+    async initializeMedia() {
+        try {
+            await this.db.collection('uploadSessions').createIndex({ uid: 1 });
+            await this.db.collection(`${STAGING_BUCKET}.files`).createIndex({ 'metadata.sessionId': 1, 'metadata.offset': 1 });
+            await this.db.collection('uploadSessions').createIndex({ expiresAt: 1 });
+            await this.db.collection('media').createIndex({ folder: 1, uploadedAt: -1 });
+            await this.db.collection('media').createIndex({ contentType: 1 });
+        } catch (error) {
+            console.error('Error initializing media:', error);
+            throw error;
+        }
+    }
+}
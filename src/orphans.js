@@ -0,0 +1,210 @@
+import { PortfolioAPI } from './portfolio.js';
+import { getStorage, inferDriverFromUrl, inferKeyFromUrl, DEFAULT_DRIVER, FALLBACK_DRIVER, MEDIA_DRIVER } from './storage/index.js';
+
+// Files and records younger than this are never touched, they may be mid-upload or about to be used; 0 disables it
+const graceDaysSetting = parseInt(process.env.MEDIA_GC_GRACE_DAYS);
+const GC_GRACE_DAYS = graceDaysSetting >= 0 ? graceDaysSetting : 7;
+// Upper bound of files listed per driver and folder
+const GC_MAX_FILES = parseInt(process.env.MEDIA_GC_MAX_FILES) || 10000;
+
+// Storage location of a file, recovered from the URL for records saved before drivers and keys were stored
+const getLocation = (file) => ({
+    driver: file.driver || inferDriverFromUrl(file.url),
+    key: file.key || inferKeyFromUrl(file.url),
+});
+
+// Storage locations of a record: the file and its image variants
+const getRecordFiles = (record) => [record, ...(record.variants || [])]
+    .map(getLocation)
+    .filter(file => file.driver && file.key);
+
+// Public URLs of a record: the file and its image variants
+const getRecordUrls = (record) => [record, ...(record.variants || [])].map(file => file.url).filter(Boolean);
+
+const fileId = (driver, key) => `${driver}:${key}`;
+
+const isOlderThan = (date, cutoff) => Boolean(date) && new Date(date) < cutoff;
+
+// Delete the files of a record; false when one of them could not be deleted
+const removeRecordFiles = async (record, { skip = [] }, report) => {
+    let removed = true;
+    for (const file of getRecordFiles(record)) {
+        if (skip.includes(file.key)) {
+            continue;
+        }
+        try {
+            await getStorage(file.driver).delete(file.key);
+        } catch (error) {
+            removed = false;
+            report.errors.push({ driver: file.driver, key: file.key, error: error.message });
+        }
+    }
+    return removed;
+};
+
+/**
+ * Reconcile uploaded files with the database
+ *
+ * Finds, in both directions:
+ * - untrackedFiles: files in storage that no `images` or `media` record points at
+ *   (e.g. a storage delete that failed after the record was removed)
+ * - missingFiles: records whose file is gone from storage
+ * - unusedImages: images no portfolio item, article or profile references any more
+ *   (e.g. after a portfolio was deleted and purged from the trash, or an article deleted)
+ *
+ * Only folders that records use are scanned, and a file whose URL is still
+ * referenced by a portfolio, article or profile is never reported. Untracked
+ * files and records of missing files older than the grace period are deleted
+ * unless dryRun is set; media records are only removed when their file is
+ * missing. Unused images are only reported, their records hold alt text and
+ * captions, unless deleteUnused is set.
+ *
+ * @param {Db} db - MongoDB database
+ * @param {Object} options - { dryRun, graceDays, deleteUnused }
+ * @returns {Promise<Object>} - Report of everything found and what was deleted
+ */
+export const collectOrphans = async (db, { dryRun = false, graceDays = GC_GRACE_DAYS, deleteUnused = false } = {}) => {
+    const startedAt = new Date();
+    const cutoff = new Date(startedAt.getTime() - graceDays * 24 * 60 * 60 * 1000);
+    const portfolioAPI = new PortfolioAPI(db);
+    const report = {
+        dryRun,
+        graceDays,
+        deleteUnused,
+        startedAt,
+        drivers: [],
+        untrackedFiles: [],
+        missingFiles: [],
+        unusedImages: [],
+        errors: [],
+    };
+
+    const images = await db.collection('images').find().toArray();
+    const media = await db.collection('media').find().toArray();
+    const records = [
+        ...images.map(record => ({ collection: 'images', record })),
+        ...media.map(record => ({ collection: 'media', record })),
+    ];
+
+    // Every file a record points at, by location and by URL in case the location is unknown
+    const trackedFiles = new Set();
+    const trackedUrls = new Set();
+    records.forEach(({ record }) => {
+        getRecordFiles(record).forEach(file => trackedFiles.add(fileId(file.driver, file.key)));
+        getRecordUrls(record).forEach(url => trackedUrls.add(url));
+    });
+
+    // URLs still shown by portfolios, articles or the profile, even without a record
+    const [portfolios, articles, profiles] = await Promise.all([
+        db.collection('portfolios').find({}, { projection: { image: 1, images: 1, content: 1 } }).toArray(),
+        db.collection('articles').find({}, { projection: { content: 1 } }).toArray(),
+        db.collection('me').find({}, { projection: { profilePicture: 1 } }).toArray(),
+    ]);
+    const referencedUrls = new Set([
+        ...portfolios.flatMap(portfolio => [portfolio.image, ...(portfolio.images || [])]),
+        ...profiles.map(profile => profile.profilePicture),
+    ].filter(Boolean));
+    const contents = [...portfolios, ...articles].map(item => item.content).filter(content => typeof content === 'string');
+    const isReferenced = (url) => Boolean(url) && (referencedUrls.has(url) || contents.some(content => content.includes(url)));
+
+    // Scan every driver that holds or receives files, limited to the folders in use
+    const driverNames = [...new Set([
+        DEFAULT_DRIVER,
+        FALLBACK_DRIVER,
+        MEDIA_DRIVER,
+        ...records.flatMap(({ record }) => getRecordFiles(record).map(file => file.driver)),
+    ].filter(Boolean))];
+    // Top-level folders of the stored keys, so every tracked key falls inside a scanned folder
+    const folders = [...new Set([
+        'images',
+        'media',
+        ...records.flatMap(({ record }) => getRecordFiles(record).map(file => file.key))
+            .filter(key => key.includes('/'))
+            .map(key => key.split('/')[0]),
+    ])];
+
+    // Drivers that were listed completely, where a missing key really means a missing file
+    const listedFiles = new Map();
+    for (const name of driverNames) {
+        const scan = { driver: name, scanned: 0, complete: true };
+        try {
+            const driver = getStorage(name);
+            const files = new Set();
+            for (const folder of folders) {
+                const listing = await driver.list(`${folder}/`, { maxResults: GC_MAX_FILES });
+                if (listing.length >= GC_MAX_FILES) {
+                    scan.complete = false;
+                }
+                scan.scanned += listing.length;
+                for (const file of listing) {
+                    files.add(file.key);
+                    if (trackedFiles.has(fileId(name, file.key)) || trackedUrls.has(file.url) || isReferenced(file.url)) {
+                        continue;
+                    }
+                    const orphan = { driver: name, key: file.key, url: file.url, size: file.size ?? null, created: file.created ? new Date(file.created) : null, deleted: false };
+                    if (!dryRun && isOlderThan(orphan.created, cutoff)) {
+                        try {
+                            await driver.delete(file.key);
+                            orphan.deleted = true;
+                        } catch (error) {
+                            report.errors.push({ driver: name, key: file.key, error: error.message });
+                        }
+                    }
+                    report.untrackedFiles.push(orphan);
+                }
+            }
+            if (scan.complete) {
+                listedFiles.set(name, files);
+            }
+        } catch (error) {
+            // ImgBB cannot list files, unconfigured drivers cannot be reached
+            scan.complete = false;
+            scan.error = error.message;
+        }
+        report.drivers.push(scan);
+    }
+
+    // Records in reverse: files that are gone, and images nothing uses
+    for (let i = 0; i < records.length; i += 100) {
+        const batch = records.slice(i, i + 100);
+        const usage = await portfolioAPI.getImageUsage(batch.map(({ record }) => record));
+
+        for (const { collection, record } of batch) {
+            const used = usage.get(record._id.toString()).length > 0;
+            const old = isOlderThan(record.uploadedAt, cutoff);
+            const location = getLocation(record);
+            const listed = location.driver && location.key ? listedFiles.get(location.driver) : null;
+
+            if (listed && !listed.has(location.key)) {
+                const orphan = { collection, id: record._id, ...location, url: record.url, used, deleted: false };
+                // A record still shown on a page is kept so the reference stays visible
+                if (!dryRun && old && !used) {
+                    await removeRecordFiles(record, { skip: [location.key] }, report);
+                    await db.collection(collection).deleteOne({ _id: record._id });
+                    orphan.deleted = true;
+                }
+                report.missingFiles.push(orphan);
+                continue;
+            }
+
+            if (collection === 'images' && !used) {
+                const orphan = { id: record._id, url: record.url, uploadedAt: record.uploadedAt || null, deleted: false };
+                if (!dryRun && deleteUnused && old && await removeRecordFiles(record, {}, report)) {
+                    await db.collection('images').deleteOne({ _id: record._id });
+                    orphan.deleted = true;
+                }
+                report.unusedImages.push(orphan);
+            }
+        }
+    }
+
+    report.finishedAt = new Date();
+    return report;
+};
+
+// One-line summary of a report for logs
+export const summarizeOrphans = (report) => {
+    const count = (items) => `${items.length} (${items.filter(item => item.deleted).length} deleted)`;
+    return `Media GC${report.dryRun ? ' (dry run)' : ''}: untracked files ${count(report.untrackedFiles)}, `
+        + `missing files ${count(report.missingFiles)}, unused images ${count(report.unusedImages)}, errors ${report.errors.length}`;
+};
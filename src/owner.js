@@ -1,77 +1,228 @@
 // Owner API functions for article management
+import { renderMarkdown } from './markdown.js';
+import { NotFoundError, ValidationError, ConflictError, UnauthorizedError, AppError, wrapError } from './errors.js';
+
+const ARTICLE_STATUSES = ['draft', 'published'];
+
+// Fields an author may set on an article
+const pickArticleFields = (data) => {
+    const fields = {};
+    if (data.title !== undefined) fields.title = String(data.title).trim();
+    if (data.content !== undefined) fields.content = String(data.content);
+    if (data.tags !== undefined) {
+        fields.tags = (Array.isArray(data.tags) ? data.tags : [data.tags])
+            .map(tag => String(tag).trim().toLowerCase())
+            .filter(Boolean);
+    }
+    if (data.status !== undefined) {
+        if (!ARTICLE_STATUSES.includes(data.status)) {
+            throw new ValidationError(`Invalid status. Allowed: ${ARTICLE_STATUSES.join(', ')}`);
+        }
+        fields.status = data.status;
+    }
+    return fields;
+};
+
+// Build the URL name of an article from its title
+const toArticleName = (title) => {
+    return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+};
+
+// Attach rendered HTML next to the raw markdown and the caller's vote.
+// Voter ids stay on the server.
+const withHtml = (article, uid = null) => {
+    if (!article) {
+        return article;
+    }
+    const { upvodIds = [], ...rest } = article;
+    return {
+        ...rest,
+        html: renderMarkdown(article.content),
+        myVote: uid ? upvodIds.includes(uid) : false,
+    };
+};
 
 export class OwnerAPI {
     constructor(db) {
         this.db = db;
     }
 
-    // Fetch all articles
-    async getAllArticles() {
+    // Fetch all articles, drafts only when requested
+    async getAllArticles({ includeDrafts = false, tag = null, uid = null } = {}) {
         try {
             if (!this.db) {
-                throw new Error('Database not connected');
+                throw new AppError('Database not connected', { status: 503, code: 'DATABASE_UNAVAILABLE' });
+            }
+            const query = {};
+            if (!includeDrafts) {
+                // Articles created before the status field existed are public
+                query.status = { $ne: 'draft' };
             }
-            const articles = await this.db.collection('articles').find().toArray();
-            return articles;
+            if (typeof tag === 'string' && tag) {
+                query.tags = tag.toLowerCase();
+            }
+            const articles = await this.db.collection('articles')
+                .find(query)
+                .sort({ publishedAt: -1, _id: -1 })
+                .toArray();
+            return articles.map(article => withHtml(article, uid));
         } catch (error) {
             console.error('Error fetching articles:', error);
-            throw new Error('Failed to fetch articles');
+            throw wrapError(error, 'Failed to fetch articles');
         }
     }
 
     // Fetch article by name
-    async getArticleByName(name) {
+    async getArticleByName(name, { includeDrafts = false, uid = null } = {}) {
         try {
-            const foundArticle = await this.db.collection('articles').findOne(
-                { articleName: name }
-            );
-            return foundArticle;
+            const query = { articleName: name };
+            if (!includeDrafts) {
+                query.status = { $ne: 'draft' };
+            }
+            const foundArticle = await this.db.collection('articles').findOne(query);
+            if (!foundArticle) {
+                throw new NotFoundError('Article not found');
+            }
+            return withHtml(foundArticle, uid);
         } catch (error) {
             console.error('Error fetching article:', error);
-            throw new Error('Failed to fetch article');
+            throw wrapError(error, 'Failed to fetch article');
         }
     }
 
-    // Upvote an article
-    async upvoteArticle(name, uid) {
-        try {
-            const article = await this.db.collection('articles').findOne({ articleName: name });
+    // Create a new article
+    async createArticle(articleData) {
+        const fields = pickArticleFields(articleData);
+        if (!fields.title) {
+            throw new ValidationError('Title is required', [{ field: 'title', message: 'is required' }]);
+        }
+        const articleName = articleData.articleName
+            ? toArticleName(String(articleData.articleName))
+            : toArticleName(fields.title);
+        if (!articleName) {
+            throw new ValidationError('Article name is required', [{ field: 'articleName', message: 'is required' }]);
+        }
+
+        const now = new Date();
+        const article = {
+            articleName,
+            content: '',
+            tags: [],
+            status: 'draft',
+            ...fields,
+            upvotes: 0,
+            upvodIds: [],
+            createdAt: now,
+            updatedAt: now,
+            publishedAt: fields.status === 'published' ? now : null,
+        };
 
-            if (!uid) {
-                throw new Error('not have uid');
+        try {
+            const result = await this.db.collection('articles').insertOne(article);
+            return withHtml({ ...article, _id: result.insertedId });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new ConflictError('Article already exists');
             }
-            if (!article) {
-                throw new Error('Article not found');
+            console.error('Error creating article:', error);
+            throw wrapError(error, 'Failed to create article');
+        }
+    }
+
+    // Update title, body, tags or status of an article
+    async updateArticle(name, articleData) {
+        const fields = pickArticleFields(articleData);
+        if (fields.title === '') {
+            throw new ValidationError('Title is required', [{ field: 'title', message: 'is required' }]);
+        }
+
+        try {
+            const articles = this.db.collection('articles');
+            const existing = await articles.findOne({ articleName: name });
+            if (!existing) {
+                throw new NotFoundError('Article not found');
             }
-            if (article.upvodIds?.includes(uid)) {
-                throw new Error('Already upvoted');
+
+            const updateFields = { ...fields, updatedAt: new Date() };
+            // Keep the first publish date when an article is re-published
+            if (fields.status === 'published' && !existing.publishedAt) {
+                updateFields.publishedAt = updateFields.updatedAt;
             }
 
-            const updatedArticle = await this.db.collection('articles').findOneAndUpdate(
+            const updatedArticle = await articles.findOneAndUpdate(
                 { articleName: name },
+                { $set: updateFields },
+                { returnDocument: 'after' }
+            );
+            return withHtml(updatedArticle);
+        } catch (error) {
+            console.error('Error updating article:', error);
+            throw wrapError(error, 'Failed to update article');
+        }
+    }
+
+    // Delete an article
+    async deleteArticle(name) {
+        try {
+            const result = await this.db.collection('articles').deleteOne({ articleName: name });
+            if (result.deletedCount === 0) {
+                throw new NotFoundError('Article not found');
+            }
+            return { success: true, message: 'Article deleted successfully' };
+        } catch (error) {
+            console.error('Error deleting article:', error);
+            throw wrapError(error, 'Failed to delete article');
+        }
+    }
+
+    // Upvote an article. The filter only matches when the user has not
+    // voted yet, so concurrent requests can never count twice.
+    async upvoteArticle(name, uid) {
+        if (!uid) {
+            throw new UnauthorizedError('not have uid');
+        }
+        try {
+            const articles = this.db.collection('articles');
+            const updatedArticle = await articles.findOneAndUpdate(
+                { articleName: name, status: { $ne: 'draft' }, upvodIds: { $ne: uid } },
                 { $inc: { upvotes: 1 }, $push: { upvodIds: uid } },
                 { returnDocument: 'after' }
             );
 
-            return updatedArticle;
+            if (!updatedArticle) {
+                const exists = await articles.countDocuments({ articleName: name, status: { $ne: 'draft' } });
+                throw exists ? new ConflictError('Already upvoted') : new NotFoundError('Article not found');
+            }
+
+            return withHtml(updatedArticle, uid);
         } catch (error) {
             console.error('Error upvoting article:', error);
-            throw error;
+            throw wrapError(error, 'Failed to upvote article');
         }
     }
 
-    // Add comment to article
-    async addComment(name, commentText) {
+    // Withdraw an upvote
+    async removeUpvote(name, uid) {
+        if (!uid) {
+            throw new UnauthorizedError('not have uid');
+        }
         try {
-            const updatedArticle = await this.db.collection('articles').findOneAndUpdate(
-                { articleName: name },
-                { $push: { comments: commentText } },
+            const articles = this.db.collection('articles');
+            const updatedArticle = await articles.findOneAndUpdate(
+                { articleName: name, upvodIds: uid },
+                { $inc: { upvotes: -1 }, $pull: { upvodIds: uid } },
                 { returnDocument: 'after' }
             );
-            return updatedArticle;
+
+            if (!updatedArticle) {
+                const exists = await articles.countDocuments({ articleName: name });
+                throw exists ? new ConflictError('Not upvoted') : new NotFoundError('Article not found');
+            }
+
+            return withHtml(updatedArticle, uid);
         } catch (error) {
-            console.error('Error adding comment:', error);
-            throw new Error('Failed to add comment');
+            console.error('Error removing upvote:', error);
+            throw wrapError(error, 'Failed to remove upvote');
         }
     }
 
@@ -79,24 +230,46 @@ export class OwnerAPI {
     async initializeArticles() {
         try {
             const articles = this.db.collection('articles');
+            await articles.createIndex({ articleName: 1 }, { unique: true });
             const existingArticles = await articles.countDocuments();
 
             if (existingArticles === 0) {
                 await articles.insertMany([
                     {
                         articleName: 'learn-react',
+                        title: 'Learn React',
+                        content: '',
+                        tags: [],
+                        status: 'published',
                         upvotes: 0,
-                        comments: [],
+                        upvodIds: [],
+                        createdAt: new Date(),
+                        updatedAt: new Date(),
+                        publishedAt: new Date(),
                     },
                     {
                         articleName: 'learn-node',
+                        title: 'Learn Node',
+                        content: '',
+                        tags: [],
+                        status: 'published',
                         upvotes: 0,
-                        comments: [],
+                        upvodIds: [],
+                        createdAt: new Date(),
+                        updatedAt: new Date(),
+                        publishedAt: new Date(),
                     },
                     {
                         articleName: 'learn-mongodb',
+                        title: 'Learn MongoDB',
+                        content: '',
+                        tags: [],
+                        status: 'published',
                         upvotes: 0,
-                        comments: [],
+                        upvodIds: [],
+                        createdAt: new Date(),
+                        updatedAt: new Date(),
+                        publishedAt: new Date(),
                     }
                 ]);
                 console.log('Initial articles created');
@@ -1,54 +1,315 @@
-import { ObjectId } from 'mongodb';
+import { ObjectId, BSON } from 'mongodb';
+import slugify from 'slugify';
+import { RevisionsAPI } from './revisions.js';
+import { NotFoundError, ValidationError, ConflictError, UnauthorizedError, MovedError, wrapError } from './errors.js';
+
+// Fields a revision restore never overwrites
+const RESTORE_PROTECTED_FIELDS = ['_id', 'likes', 'likedBy', 'slug', 'previousSlugs', 'position', 'deletedAt', 'deletedBy', 'createdAt', 'updatedAt', 'publishedAt'];
+
+// Space between positions, so an item can be placed between two others
+// without renumbering the collection
+const POSITION_GAP = 1024;
+
+// URL-safe, transliterated slug ("Café déjà-vu" -> "cafe_deja_vu")
+const toSlug = (title) => {
+    const slug = slugify(String(title).replace(/[-_\s]+/g, ' '), {
+        replacement: '_',
+        lower: true,
+        strict: true,
+        trim: true,
+    });
+    return slug || 'portfolio';
+};
+
+// Sort orders for listing, each ends with _id so cursors are stable.
+// 'position' is the manual showcase order with featured items pinned first.
+const PORTFOLIO_SORTS = {
+    position: [['featured', -1], ['position', 1], ['_id', -1]],
+    newest: [['_id', -1]],
+    oldest: [['_id', 1]],
+    title: [['title', 1], ['_id', 1]],
+    likes: [['likes', -1], ['_id', -1]],
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors carry the sort values of the last item of a page
+const encodeCursor = (portfolio, sort) => {
+    const values = sort.map(([field]) => portfolio[field] ?? null);
+    return Buffer.from(BSON.EJSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sort) => {
+    try {
+        const values = BSON.EJSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (!Array.isArray(values) || values.length !== sort.length) {
+            throw new Error();
+        }
+        return values;
+    } catch (error) {
+        throw new ValidationError('Invalid cursor');
+    }
+};
+
+// Keyset condition matching items after the cursor in the given sort
+const afterCursor = (values, sort) => {
+    const branches = sort.map(([field, direction], i) => {
+        const branch = {};
+        for (let j = 0; j < i; j++) {
+            branch[sort[j][0]] = values[j];
+        }
+        branch[field] = { [direction === 1 ? '$gt' : '$lt']: values[i] };
+        return branch;
+    });
+    return { $or: branches };
+};
+
+export const PORTFOLIO_STATUSES = ['draft', 'published', 'scheduled', 'archived'];
+
+/**
+ * Filter for items the public may see. Scheduled items count as live once
+ * publishAt has passed, so visibility does not wait for the scheduler.
+ * Items without a status predate the workflow and are published.
+ */
+const getLiveFilter = (now = new Date()) => ({
+    $and: [
+        {
+            $or: [
+                { status: 'published', $or: [{ publishAt: null }, { publishAt: { $lte: now } }] },
+                { status: { $exists: false } },
+                { status: 'scheduled', publishAt: { $lte: now } },
+            ]
+        },
+        { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] },
+    ]
+});
+
+// Check that status and schedule dates fit together
+const checkSchedule = ({ status, publishAt, unpublishAt }) => {
+    if (status === 'scheduled' && !publishAt) {
+        throw new ValidationError('Invalid schedule: publishAt is required for scheduled items', [{ field: 'publishAt', message: 'is required for scheduled items' }]);
+    }
+    if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+        throw new ValidationError('Invalid schedule: unpublishAt must be after publishAt', [{ field: 'unpublishAt', message: 'must be after publishAt' }]);
+    }
+};
+
+// Build the filter for the listing query parameters
+const getListFilter = ({ tag, technology, year, featured, q, status, includeUnpublished = false }) => {
+    const conditions = [SCOPES.active];
+    if (!includeUnpublished) {
+        conditions.push(getLiveFilter());
+    } else if (status) {
+        if (!PORTFOLIO_STATUSES.includes(status)) {
+            throw new ValidationError(`Invalid status. Allowed: ${PORTFOLIO_STATUSES.join(', ')}`);
+        }
+        conditions.push(status === 'published' ? { $or: [{ status }, { status: { $exists: false } }] } : { status });
+    }
+    if (tag) {
+        conditions.push({ tags: tag });
+    }
+    if (technology) {
+        conditions.push({ technologies: { $regex: `^${escapeRegex(technology)}$`, $options: 'i' } });
+    }
+    if (year) {
+        const parsedYear = parseInt(year);
+        if (!/^\d{4}$/.test(String(year))) {
+            throw new ValidationError('Invalid year');
+        }
+        conditions.push({
+            $or: [
+                { year: parsedYear },
+                { startDate: { $gte: new Date(Date.UTC(parsedYear, 0, 1)), $lt: new Date(Date.UTC(parsedYear + 1, 0, 1)) } },
+            ]
+        });
+    }
+    if (featured !== undefined && featured !== null) {
+        if (featured !== 'true' && featured !== 'false') {
+            throw new ValidationError('Invalid featured flag');
+        }
+        conditions.push(featured === 'true' ? { featured: true } : { featured: { $ne: true } });
+    }
+    if (q) {
+        conditions.push({ $text: { $search: q } });
+    }
+    return { $and: conditions };
+};
+
+// Trash scopes for portfolio lookups
+const SCOPES = {
+    active: { deletedAt: null },
+    trash: { deletedAt: { $ne: null } },
+    all: {},
+};
+
+// Build the lookup query for a portfolio ObjectId, numeric id or slug.
+// Only items that are not in the trash match unless another scope is given.
+const getPortfolioQuery = (id, scope = 'active') => {
+    // Check if id is a valid MongoDB ObjectId (24 character hex string)
+    if (id.match(/^[0-9a-fA-F]{24}$/)) {
+        return { _id: new ObjectId(id), ...SCOPES[scope] };
+    }
+    if (/^\d+$/.test(id)) {
+        // If it's a numeric string, try to find by id field (as number or string)
+        return {
+            $or: [
+                { id: parseInt(id) },
+                { id: id },
+                { slug: id }
+            ],
+            ...SCOPES[scope]
+        };
+    }
+    // Otherwise, try to find by slug
+    return { slug: id, ...SCOPES[scope] };
+};
+
+// Every URL an uploaded image is served under
+const getImageUrls = (image) => [image.url, ...(image.variants || []).map(variant => variant.url)].filter(Boolean);
+
+// Normalize library tags like article tags: trimmed, lowercase, unique
+const toImageTags = (tags) => [...new Set((tags || []).map(tag => tag.toLowerCase()))];
+
+// Replace the list of likers with the caller's own vote
+const withVote = (portfolio, uid = null) => {
+    const { likedBy = [], ...rest } = portfolio;
+    return {
+        ...rest,
+        likes: portfolio.likes || 0,
+        myVote: uid ? likedBy.includes(uid) : false,
+    };
+};
 
 export class PortfolioAPI {
     constructor(db) {
         this.db = db;
+        this.revisions = new RevisionsAPI(db);
     }
 
-    async getAllPortfolios() {
+    /**
+     * List portfolios a page at a time
+     * @param {String|null} uid - Caller, for the myVote flag
+     * @param {Object} options - page, limit, cursor, sort, q, tag, technology, year, featured,
+     *   and for editors includeUnpublished and status
+     * @returns {Promise<Object>} - { portfolios, page, limit, total, totalPages, nextCursor }
+     */
+    async getAllPortfolios(uid = null, options = {}) {
+        const { page = 1, limit = 20, cursor = null, q = null } = options;
+        // Text searches rank by relevance unless a sort is requested
+        const sortName = options.sort || (q ? 'relevance' : 'position');
+        if (sortName !== 'relevance' && !PORTFOLIO_SORTS[sortName]) {
+            throw new ValidationError(`Invalid sort. Allowed: ${Object.keys(PORTFOLIO_SORTS).join(', ')}${q ? ', relevance' : ''}`);
+        }
+        if (cursor && sortName === 'relevance') {
+            throw new ValidationError('Invalid cursor: not supported for relevance sort');
+        }
+
+        const filter = getListFilter(options);
         try {
-            const portfolios = await this.db.collection('portfolios').find().sort({ _id: -1 }).toArray();
-            return portfolios;
+            const collection = this.db.collection('portfolios');
+            const sort = PORTFOLIO_SORTS[sortName];
+            const query = cursor ? { $and: [filter, afterCursor(decodeCursor(cursor, sort), sort)] } : filter;
+
+            let find = collection.find(query);
+            if (sortName === 'relevance') {
+                find = find.project({ score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' }, _id: -1 });
+            } else {
+                find = find.sort(sort);
+            }
+            if (!cursor) {
+                find = find.skip((page - 1) * limit);
+            }
+
+            // One extra item tells whether there is a next page
+            const [total, items] = await Promise.all([
+                collection.countDocuments(filter),
+                find.limit(limit + 1).toArray(),
+            ]);
+            const hasMore = items.length > limit;
+            const portfolios = items.slice(0, limit);
+
+            return {
+                portfolios: portfolios.map(portfolio => withVote(portfolio, uid)),
+                page: cursor ? null : page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+                hasMore,
+                nextCursor: hasMore && sort ? encodeCursor(portfolios[portfolios.length - 1], sort) : null,
+            };
         } catch (error) {
             console.error('Error fetching portfolios:', error);
-            throw new Error('Failed to fetch portfolios');
+            throw wrapError(error, 'Failed to fetch portfolios');
         }
     }
 
-    async getPortfolioById(id) {
+    async getPortfolioById(id, uid = null, { includeUnpublished = false } = {}) {
         try {
-            let portfolio;
-            
-            // Check if id is a valid MongoDB ObjectId (24 character hex string)
-            if (id.match(/^[0-9a-fA-F]{24}$/)) {
-                portfolio = await this.db.collection('portfolios').findOne({ _id: new ObjectId(id) });
-            } else if (/^\d+$/.test(id)) {
-                // If it's a numeric string, try to find by id field (as number or string)
-                portfolio = await this.db.collection('portfolios').findOne({ 
-                    $or: [
-                        { id: parseInt(id) },
-                        { id: id },
-                        { slug: id }
-                    ]
-                });
-            } else {
-                // Otherwise, try to find by slug
-                portfolio = await this.db.collection('portfolios').findOne({ slug: id });
-            }
+            const portfolios = this.db.collection('portfolios');
+            const query = getPortfolioQuery(id);
+            const portfolio = await portfolios.findOne(includeUnpublished ? query : { $and: [query, getLiveFilter()] });
             
             if (!portfolio) {
-                throw new Error('Portfolio not found');
+                // A renamed portfolio keeps its old slugs so links can be redirected. Only
+                // live items redirect, the new slug of a draft is not revealed.
+                const movedQuery = { previousSlugs: id, ...SCOPES.active };
+                const moved = await portfolios.findOne(
+                    includeUnpublished ? movedQuery : { $and: [movedQuery, getLiveFilter()] },
+                    { projection: { slug: 1 } }
+                );
+                if (moved) {
+                    throw new MovedError('Portfolio moved', moved.slug);
+                }
+                throw new NotFoundError('Portfolio not found');
             }
             
-            return portfolio;
+            return withVote(portfolio, uid);
         } catch (error) {
             console.error('Error fetching portfolio by id:', error);
-            throw new Error('Failed to fetch portfolio');
+            throw wrapError(error, 'Failed to fetch portfolio');
+        }
+    }
+
+    // Find a free slug for a title, adding _2, _3, ... on collisions.
+    // Old slugs of other portfolios stay reserved for their redirects.
+    async generateUniqueSlug(title, excludeId = null) {
+        const base = toSlug(title);
+        const portfolios = this.db.collection('portfolios');
+        for (let n = 1; ; n++) {
+            const candidate = n === 1 ? base : `${base}_${n}`;
+            const taken = await portfolios.countDocuments({
+                ...(excludeId ? { _id: { $ne: excludeId } } : {}),
+                $or: [{ slug: candidate }, { previousSlugs: candidate }],
+            });
+            if (!taken) {
+                return candidate;
+            }
         }
     }
 
     async initializePortfolios() {
         try {
+            await this.ensureUniqueSlugs();
+            await this.ensurePositions();
+            await this.db.collection('portfolios').createIndex(
+                { slug: 1 },
+                { unique: true, partialFilterExpression: { slug: { $type: 'string' } } }
+            );
+            await this.db.collection('portfolios').createIndex({ previousSlugs: 1 });
+            await this.db.collection('portfolios').createIndex({ status: 1, publishAt: 1 });
+            await this.db.collection('portfolios').createIndex({ deletedAt: 1 });
+            await this.db.collection('portfolios').createIndex({ featured: -1, position: 1, _id: -1 });
+            await this.revisions.initializeRevisions();
+            await this.db.collection('images').createIndex(
+                { hash: 1 },
+                { unique: true, partialFilterExpression: { hash: { $type: 'string' } } }
+            );
+            await this.db.collection('images').createIndex({ folder: 1, uploadedAt: -1 });
+            await this.db.collection('images').createIndex({ tags: 1 });
+            await this.db.collection('portfolios').createIndex(
+                { title: 'text', description: 'text', tags: 'text', technologies: 'text' },
+                { name: 'portfolio_text', weights: { title: 10, tags: 5, technologies: 5, description: 1 } }
+            );
             const portfolios = await this.db.collection('portfolios').countDocuments();
             if (portfolios === 0) {
                 const defaultPortfolios = [];
@@ -63,126 +324,627 @@ export class PortfolioAPI {
         }
     }
 
-    async createPortfolio(portfolioData) {
-        try {
-            // Generate slug from title if title exists
-            if (portfolioData.title) {
-                portfolioData.slug = portfolioData.title.toLowerCase().replace(/\s+/g, '_');
+    // Give older portfolios a position (newest first, as before manual
+    // ordering) and a boolean featured flag
+    async ensurePositions() {
+        const portfolios = this.db.collection('portfolios');
+        await portfolios.updateMany({ featured: { $not: { $type: 'bool' } } }, { $set: { featured: false } });
+
+        const unpositioned = await portfolios
+            .find({ position: { $not: { $type: 'number' } } }, { projection: { _id: 1 } })
+            .sort({ _id: -1 })
+            .toArray();
+        if (unpositioned.length === 0) {
+            return;
+        }
+        const [last] = await portfolios
+            .find({ position: { $type: 'number' } }, { projection: { position: 1 } })
+            .sort({ position: -1 })
+            .limit(1)
+            .toArray();
+        const start = last ? last.position : 0;
+        await portfolios.bulkWrite(unpositioned.map((portfolio, index) => ({
+            updateOne: { filter: { _id: portfolio._id }, update: { $set: { position: start + (index + 1) * POSITION_GAP } } }
+        })));
+        console.log(`Assigned positions to ${unpositioned.length} portfolios`);
+    }
+
+    // Give duplicate or missing slugs of older portfolios a unique one
+    async ensureUniqueSlugs() {
+        const portfolios = this.db.collection('portfolios');
+        const duplicates = await portfolios.aggregate([
+            { $match: { slug: { $type: 'string' } } },
+            { $sort: { _id: 1 } },
+            { $group: { _id: '$slug', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+            { $match: { count: { $gt: 1 } } },
+        ]).toArray();
+        const missing = await portfolios.find(
+            { slug: { $not: { $type: 'string' } }, title: { $type: 'string' } },
+            { projection: { title: 1 } }
+        ).toArray();
+
+        // The oldest portfolio keeps a duplicated slug
+        const toFix = [
+            ...duplicates.flatMap(group => group.ids.slice(1).map(_id => ({ _id, title: group._id }))),
+            ...missing,
+        ];
+        for (const portfolio of toFix) {
+            const slug = await this.generateUniqueSlug(portfolio.title, portfolio._id);
+            await portfolios.updateOne({ _id: portfolio._id }, { $set: { slug } });
+        }
+        if (toFix.length > 0) {
+            console.log(`Assigned unique slugs to ${toFix.length} portfolios`);
+        }
+    }
+
+    async createPortfolio(portfolioData, user = null) {
+        // Votes are only changed through likePortfolio/unlikePortfolio
+        const { likes, likedBy, slug, previousSlugs, ...newPortfolio } = portfolioData;
+        // New items stay private until they are published
+        const now = new Date();
+        const document = { status: 'draft', ...newPortfolio, likes: 0, likedBy: [], previousSlugs: [], createdAt: now, updatedAt: now };
+        // featured is always a boolean so keyset cursors can compare it
+        document.featured = document.featured === true;
+        checkSchedule(document);
+        if (document.status === 'published') {
+            document.publishedAt = now;
+        }
+        
+        // Retry when a concurrent insert takes the same slug
+        for (let attempt = 1; ; attempt++) {
+            try {
+                if (document.title) {
+                    document.slug = await this.generateUniqueSlug(document.title);
+                }
+                // New items go to the top of the showcase
+                document.position = await this.getTopPosition() - POSITION_GAP;
+                const result = await this.db.collection('portfolios').insertOne(document);
+                const created = { ...document, _id: result.insertedId };
+                await this.revisions.recordRevision('portfolio', null, created, user, 'create');
+                return withVote(created);
+            } catch (error) {
+                if (error.code === 11000 && attempt < 3) {
+                    delete document._id;
+                    continue;
+                }
+                console.error('Error creating portfolio:', error);
+                throw wrapError(error, 'Failed to create portfolio');
             }
-            
-            const result = await this.db.collection('portfolios').insertOne(portfolioData);
-            return {
-                ...portfolioData,
-                _id: result.insertedId
-            };
-        } catch (error) {
-            console.error('Error creating portfolio:', error);
-            throw new Error('Failed to create portfolio');
         }
     }
 
-    async updatePortfolio(id, portfolioData) {
+    /**
+     * Update a portfolio and record a revision of the change
+     * @param {String} id - ObjectId, numeric id or slug
+     * @param {Object} portfolioData - Fields to set
+     * @param {Object} user - Verified token user making the change
+     * @param {Object} options - action for the revision, unset fields to remove
+     */
+    async updatePortfolio(id, portfolioData, user = null, { action = 'update', unset = [] } = {}) {
         try {
-            let query;
+            const portfolios = this.db.collection('portfolios');
+            const existing = await portfolios.findOne(getPortfolioQuery(id));
             
-            // Check if id is a valid MongoDB ObjectId (24 character hex string)
-            if (id.match(/^[0-9a-fA-F]{24}$/)) {
-                query = { _id: new ObjectId(id) };
-            } else if (/^\d+$/.test(id)) {
-                // If it's a numeric string, try to find by id field (as number or string)
-                query = { 
-                    $or: [
-                        { id: parseInt(id) },
-                        { id: id },
-                        { slug: id }
-                    ]
-                };
-            } else {
-                // Otherwise, try to find by slug
-                query = { slug: id };
+            if (!existing) {
+                throw new NotFoundError('Portfolio not found');
             }
             
-            // Remove _id from portfolioData to avoid trying to update immutable field
-            const { _id, ...updateData } = portfolioData;
+            // Remove _id from portfolioData to avoid trying to update immutable field,
+            // vote counters which only change through likes, and server-managed slugs
+            const { _id, likes, likedBy, slug, previousSlugs, ...updateData } = portfolioData;
             
-            const result = await this.db.collection('portfolios').updateOne(
-                query,
-                { $set: updateData }
-            );
+            checkSchedule({ ...existing, ...updateData });
+            if (updateData.featured === null) {
+                updateData.featured = false;
+            }
+            if (updateData.status === 'published' && existing.status !== 'published') {
+                updateData.publishedAt = new Date();
+            }
             
-            if (result.matchedCount === 0) {
-                throw new Error('Portfolio not found');
+            // A new title gets a new slug, the old one is kept for redirects. A title that
+            // still leads to the current slug (same words, same collision suffix) keeps it.
+            if (updateData.title) {
+                const newSlug = await this.generateUniqueSlug(updateData.title, existing._id);
+                if (newSlug !== existing.slug) {
+                    updateData.slug = newSlug;
+                    updateData.previousSlugs = [...new Set([...(existing.previousSlugs || []), existing.slug])]
+                        .filter(previous => previous && previous !== newSlug);
+                }
             }
             
-            return { _id: id, ...updateData };
+            const update = { $set: { ...updateData, updatedAt: new Date() } };
+            if (unset.length > 0) {
+                update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+            }
+            const updated = await portfolios.findOneAndUpdate(
+                { _id: existing._id },
+                update,
+                { returnDocument: 'after' }
+            );
+            
+            await this.revisions.recordRevision('portfolio', existing, updated, user, action);
+            return withVote(updated);
         } catch (error) {
             console.error('Error updating portfolio:', error);
-            throw new Error('Failed to update portfolio');
+            if (error.code === 11000) {
+                throw new ConflictError('Slug already exists');
+            }
+            throw wrapError(error, 'Failed to update portfolio');
         }
     }
 
-    async deletePortfolio(id) {
+    // Move a portfolio to the trash. It is purged after the retention period.
+    async deletePortfolio(id, user = null) {
         try {
-            let query;
+            const portfolios = this.db.collection('portfolios');
+            const existing = await portfolios.findOne(getPortfolioQuery(id));
             
-            // Check if id is a valid MongoDB ObjectId (24 character hex string)
-            if (id.match(/^[0-9a-fA-F]{24}$/)) {
-                query = { _id: new ObjectId(id) };
-            } else if (/^\d+$/.test(id)) {
-                // If it's a numeric string, try to find by id field (as number or string)
-                query = { 
-                    $or: [
-                        { id: parseInt(id) },
-                        { id: id },
-                        { slug: id }
-                    ]
-                };
-            } else {
-                // Otherwise, try to find by slug
-                query = { slug: id };
+            if (!existing) {
+                throw new NotFoundError('Portfolio not found');
             }
             
-            const result = await this.db.collection('portfolios').deleteOne(query);
+            const deleted = await portfolios.findOneAndUpdate(
+                { _id: existing._id },
+                { $set: { deletedAt: new Date(), deletedBy: user?.uid || null } },
+                { returnDocument: 'after' }
+            );
+            await this.revisions.recordRevision('portfolio', existing, deleted, user, 'delete');
             
-            if (result.deletedCount === 0) {
-                throw new Error('Portfolio not found');
+            return { success: true, message: 'Portfolio moved to trash' };
+        } catch (error) {
+            console.error('Error deleting portfolio:', error);
+            throw wrapError(error, 'Failed to delete portfolio');
+        }
+    }
+
+    // Lowest position in use, so a new item can be placed above it
+    async getTopPosition() {
+        const [top] = await this.db.collection('portfolios')
+            .find({ position: { $type: 'number' } }, { projection: { position: 1 } })
+            .sort({ position: 1 })
+            .limit(1)
+            .toArray();
+        return top ? top.position : 0;
+    }
+
+    /**
+     * Set the manual showcase order. Listed items come first in the given
+     * order, the rest keep their relative order after them.
+     * @param {Array<String>} ids - Portfolio ObjectIds in display order
+     */
+    async reorderPortfolios(ids) {
+        const portfolios = this.db.collection('portfolios');
+        const current = await portfolios
+            .find(SCOPES.active, { projection: { position: 1 } })
+            .sort({ position: 1, _id: -1 })
+            .toArray();
+
+        const known = new Set(current.map(portfolio => portfolio._id.toString()));
+        const unknown = ids.filter(id => !known.has(id));
+        if (unknown.length > 0) {
+            throw new ValidationError(`Invalid order: unknown portfolio ids ${unknown.join(', ')}`);
+        }
+
+        const listed = new Set(ids);
+        const order = [
+            ...ids.map(id => new ObjectId(id)),
+            ...current.filter(portfolio => !listed.has(portfolio._id.toString())).map(portfolio => portfolio._id),
+        ];
+        const positions = new Map(current.map(portfolio => [portfolio._id.toString(), portfolio.position]));
+        const operations = order
+            .map((_id, index) => ({ _id, position: (index + 1) * POSITION_GAP }))
+            .filter(({ _id, position }) => positions.get(_id.toString()) !== position)
+            .map(({ _id, position }) => ({
+                updateOne: { filter: { _id }, update: { $set: { position } } }
+            }));
+
+        try {
+            if (operations.length > 0) {
+                await this.withTransaction(session => portfolios.bulkWrite(operations, { session, ordered: true }));
+            }
+            return { success: true, updated: operations.length, order: order.map(_id => _id.toString()) };
+        } catch (error) {
+            console.error('Error reordering portfolios:', error);
+            throw wrapError(error, 'Failed to reorder portfolios');
+        }
+    }
+
+    // Run a write in a transaction. Standalone servers (local development)
+    // do not support transactions, there the write runs without one.
+    async withTransaction(write) {
+        const session = this.db.client.startSession();
+        try {
+            let result;
+            await session.withTransaction(async () => {
+                result = await write(session);
+            });
+            return result;
+        } catch (error) {
+            if (error.code === 20 || /replica set|Transaction numbers/i.test(error.message)) {
+                return write(undefined);
+            }
+            throw error;
+        } finally {
+            await session.endSession();
+        }
+    }
+
+    // Trashed portfolios, most recently deleted first
+    async getTrash({ page = 1, limit = 20 } = {}) {
+        try {
+            const portfolios = this.db.collection('portfolios');
+            const [total, items] = await Promise.all([
+                portfolios.countDocuments(SCOPES.trash),
+                portfolios.find(SCOPES.trash)
+                    .sort({ deletedAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .toArray(),
+            ]);
+            return {
+                portfolios: items.map(portfolio => withVote(portfolio)),
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            };
+        } catch (error) {
+            console.error('Error fetching trash:', error);
+            throw wrapError(error, 'Failed to fetch trash');
+        }
+    }
+
+    async undeletePortfolio(id, user = null) {
+        try {
+            const portfolios = this.db.collection('portfolios');
+            const existing = await portfolios.findOne(getPortfolioQuery(id, 'trash'));
+            
+            if (!existing) {
+                throw new NotFoundError('Portfolio not found');
             }
             
-            return { success: true, message: 'Portfolio deleted successfully' };
+            const restored = await portfolios.findOneAndUpdate(
+                { _id: existing._id },
+                { $set: { updatedAt: new Date() }, $unset: { deletedAt: '', deletedBy: '' } },
+                { returnDocument: 'after' }
+            );
+            await this.revisions.recordRevision('portfolio', existing, restored, user, 'undelete');
+            return withVote(restored);
         } catch (error) {
-            console.error('Error deleting portfolio:', error);
-            throw new Error('Failed to delete portfolio');
+            console.error('Error restoring portfolio:', error);
+            throw wrapError(error, 'Failed to restore portfolio');
+        }
+    }
+
+    // Permanently delete trashed portfolios older than the retention period
+    async purgeTrash(retentionDays) {
+        try {
+            const portfolios = this.db.collection('portfolios');
+            const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+            const expired = await portfolios.find(
+                { deletedAt: { $lte: cutoff } },
+                { projection: { _id: 1 } }
+            ).toArray();
+            if (expired.length === 0) {
+                return 0;
+            }
+            
+            const ids = expired.map(portfolio => portfolio._id);
+            const result = await portfolios.deleteMany({ _id: { $in: ids }, deletedAt: { $lte: cutoff } });
+            await this.revisions.deleteRevisions('portfolio', ids);
+            console.log(`Purged ${result.deletedCount} portfolios from trash`);
+            return result.deletedCount;
+        } catch (error) {
+            console.error('Error purging trash:', error);
+            throw error;
+        }
+    }
+
+    // Revision history of a portfolio, including trashed ones
+    async getPortfolioRevisions(id, pagination = {}) {
+        const portfolio = await this.db.collection('portfolios').findOne(getPortfolioQuery(id, 'all'), { projection: { _id: 1 } });
+        if (!portfolio) {
+            throw new NotFoundError('Portfolio not found');
+        }
+        return this.revisions.getRevisions('portfolio', portfolio._id, pagination);
+    }
+
+    // Bring a portfolio back to the state saved in one of its revisions
+    async restorePortfolioRevision(id, revisionId, user = null) {
+        const existing = await this.db.collection('portfolios').findOne(getPortfolioQuery(id));
+        if (!existing) {
+            throw new NotFoundError('Portfolio not found');
+        }
+        const revision = await this.revisions.getRevision('portfolio', existing._id, revisionId);
+        
+        const data = {};
+        Object.entries(revision.snapshot).forEach(([field, value]) => {
+            if (!RESTORE_PROTECTED_FIELDS.includes(field)) {
+                data[field] = value;
+            }
+        });
+        // Fields added after the revision are removed
+        const unset = Object.keys(existing).filter(field =>
+            !RESTORE_PROTECTED_FIELDS.includes(field) && !(field in revision.snapshot)
+        );
+        
+        return this.updatePortfolio(id, data, user, { action: 'restore', unset });
+    }
+
+    // Flip scheduled items whose publishAt has passed to published, and
+    // live items whose unpublishAt has passed to archived
+    async applySchedule(now = new Date()) {
+        try {
+            const portfolios = this.db.collection('portfolios');
+            const published = await portfolios.updateMany(
+                { status: 'scheduled', publishAt: { $lte: now }, ...SCOPES.active },
+                [{ $set: { status: 'published', publishedAt: '$publishAt', updatedAt: now } }]
+            );
+            const archived = await portfolios.updateMany(
+                { status: { $in: ['published', 'scheduled'] }, unpublishAt: { $lte: now }, ...SCOPES.active },
+                { $set: { status: 'archived', updatedAt: now } }
+            );
+            if (published.modifiedCount > 0 || archived.modifiedCount > 0) {
+                console.log(`Portfolio schedule: ${published.modifiedCount} published, ${archived.modifiedCount} archived`);
+            }
+            return { published: published.modifiedCount, archived: archived.modifiedCount };
+        } catch (error) {
+            console.error('Error applying portfolio schedule:', error);
+            throw error;
+        }
+    }
+
+    // Like a portfolio item with a single conditional update
+    async likePortfolio(id, uid) {
+        if (!uid) {
+            throw new UnauthorizedError('not have uid');
+        }
+        try {
+            const query = getPortfolioQuery(id);
+            const portfolios = this.db.collection('portfolios');
+            const updatedPortfolio = await portfolios.findOneAndUpdate(
+                { $and: [query, getLiveFilter(), { likedBy: { $ne: uid } }] },
+                { $inc: { likes: 1 }, $push: { likedBy: uid } },
+                { returnDocument: 'after' }
+            );
+
+            if (!updatedPortfolio) {
+                const exists = await portfolios.countDocuments({ $and: [query, getLiveFilter()] });
+                throw exists ? new ConflictError('Already liked') : new NotFoundError('Portfolio not found');
+            }
+
+            return withVote(updatedPortfolio, uid);
+        } catch (error) {
+            console.error('Error liking portfolio:', error);
+            throw error;
+        }
+    }
+
+    // Withdraw a like
+    async unlikePortfolio(id, uid) {
+        if (!uid) {
+            throw new UnauthorizedError('not have uid');
+        }
+        try {
+            const query = getPortfolioQuery(id);
+            const portfolios = this.db.collection('portfolios');
+            const updatedPortfolio = await portfolios.findOneAndUpdate(
+                { $and: [query, { likedBy: uid }] },
+                { $inc: { likes: -1 }, $pull: { likedBy: uid } },
+                { returnDocument: 'after' }
+            );
+
+            if (!updatedPortfolio) {
+                const exists = await portfolios.countDocuments(query);
+                throw exists ? new ConflictError('Not liked') : new NotFoundError('Portfolio not found');
+            }
+
+            return withVote(updatedPortfolio, uid);
+        } catch (error) {
+            console.error('Error unliking portfolio:', error);
+            throw error;
         }
     }
 
     // Image tracking methods
-    async saveImageMetadata(imageUrl, originalName, folder) {
+    /**
+     * Record an uploaded image
+     * @param {Object} image - url, originalName, folder, the storage
+     *   driver and key the file lives under, width, height and the
+     *   responsive variants ({ width, height, format, url, driver, key, ... })
+     *   and the SHA-256 hash of the uploaded file
+     * @returns {Promise<Object>} - The saved record, or the existing one
+     *   (duplicate: true) when the same file was saved concurrently
+     */
+    async saveImageMetadata({ url, originalName, folder, driver, key, contentType = null, size = null, width = null, height = null, variants = [], hash = null, deleteUrl = null }) {
         try {
             const imageMetadata = {
-                url: imageUrl,
-                originalName: originalName,
+                url,
+                originalName,
                 folder: folder || 'images',
+                driver,
+                key,
+                contentType,
+                size,
+                width,
+                height,
+                variants,
+                alt: null,
+                caption: null,
+                tags: [],
+                ...(hash ? { hash } : {}),
+                ...(deleteUrl ? { deleteUrl } : {}),
                 uploadedAt: new Date(),
             };
             await this.db.collection('images').insertOne(imageMetadata);
             return imageMetadata;
         } catch (error) {
+            if (error.code === 11000 && hash) {
+                const existing = await this.getImageByHash(hash);
+                if (existing) {
+                    return { ...existing, duplicate: true };
+                }
+            }
             console.error('Error saving image metadata:', error);
             throw error;
         }
     }
 
-    async getAllImages(folder = null) {
+    // Image record of a file with this SHA-256 content hash, if it was uploaded before
+    async getImageByHash(hash) {
         try {
-            const query = folder ? { folder } : {};
-            const images = await this.db.collection('images').find(query).sort({ uploadedAt: -1 }).toArray();
-            return images;
+            return await this.db.collection('images').findOne({ hash });
+        } catch (error) {
+            console.error('Error fetching image by hash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Paginated image library, newest first, with the usage of every image
+     * @param {Object} options - folder, q (matches file name, alt text and caption), tag, page, limit
+     */
+    async getAllImages({ folder = null, q = null, tag = null, page = 1, limit = 50 } = {}) {
+        try {
+            const conditions = [];
+            if (folder) {
+                conditions.push({ folder });
+            }
+            if (tag) {
+                conditions.push({ tags: tag.toLowerCase() });
+            }
+            if (q) {
+                const pattern = { $regex: escapeRegex(q), $options: 'i' };
+                conditions.push({ $or: [{ originalName: pattern }, { alt: pattern }, { caption: pattern }] });
+            }
+            const query = conditions.length > 0 ? { $and: conditions } : {};
+
+            const [total, images] = await Promise.all([
+                this.db.collection('images').countDocuments(query),
+                this.db.collection('images').find(query)
+                    .sort({ uploadedAt: -1, _id: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .toArray(),
+            ]);
+            const usage = await this.getImageUsage(images);
+            return {
+                images: images.map(image => ({ ...image, usage: usage.get(image._id.toString()) })),
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            };
         } catch (error) {
             console.error('Error fetching images:', error);
             throw error;
         }
     }
 
+    /**
+     * Find where images are referenced: portfolio image, images and content
+     * (trashed items included, they can still be restored), article content
+     * (drafts included) and profile pictures. Deleted articles no longer count,
+     * so their images show up as unused in the media GC.
+     * Variant URLs count as references to their image.
+     * @param {Array} images - Image records
+     * @returns {Promise<Map>} - Image id -> [{ type, field, ... }]
+     */
+    async getImageUsage(images) {
+        const usage = new Map(images.map(image => [image._id.toString(), []]));
+        const owners = new Map();
+        images.forEach(image => getImageUrls(image).forEach(url => owners.set(url, image._id.toString())));
+        const urls = [...owners.keys()];
+        if (urls.length === 0) {
+            return usage;
+        }
+
+        // Markdown content can embed any of the URLs; split the pattern to keep each regex small
+        const contentPatterns = [];
+        for (let i = 0; i < urls.length; i += 50) {
+            contentPatterns.push({ content: { $regex: urls.slice(i, i + 50).map(escapeRegex).join('|') } });
+        }
+        const [portfolios, articles, profiles] = await Promise.all([
+            this.db.collection('portfolios').find(
+                { $or: [{ image: { $in: urls } }, { images: { $in: urls } }, ...contentPatterns], ...SCOPES.all },
+                { projection: { title: 1, slug: 1, image: 1, images: 1, content: 1, deletedAt: 1 } }
+            ).toArray(),
+            this.db.collection('articles').find(
+                { $or: contentPatterns },
+                { projection: { articleName: 1, title: 1, content: 1 } }
+            ).toArray(),
+            this.db.collection('me').find(
+                { profilePicture: { $in: urls } },
+                { projection: { uid: 1, name: 1, profilePicture: 1 } }
+            ).toArray(),
+        ]);
+
+        const add = (url, entry) => {
+            const entries = usage.get(owners.get(url));
+            const key = `${entry.type}:${entry.id || entry.uid}:${entry.field}`;
+            if (entries && !entries.some(existing => `${existing.type}:${existing.id || existing.uid}:${existing.field}` === key)) {
+                entries.push(entry);
+            }
+        };
+        portfolios.forEach(portfolio => {
+            const reference = {
+                type: 'portfolio',
+                id: portfolio._id,
+                title: portfolio.title,
+                slug: portfolio.slug || null,
+                deleted: Boolean(portfolio.deletedAt),
+            };
+            if (portfolio.image) {
+                add(portfolio.image, { ...reference, field: 'image' });
+            }
+            (portfolio.images || []).forEach(url => add(url, { ...reference, field: 'images' }));
+            if (typeof portfolio.content === 'string') {
+                urls.filter(url => portfolio.content.includes(url)).forEach(url => add(url, { ...reference, field: 'content' }));
+            }
+        });
+        articles.forEach(article => {
+            if (typeof article.content === 'string') {
+                const reference = { type: 'article', id: article._id, articleName: article.articleName, title: article.title, field: 'content' };
+                urls.filter(url => article.content.includes(url)).forEach(url => add(url, reference));
+            }
+        });
+        profiles.forEach(profile => {
+            add(profile.profilePicture, { type: 'profile', uid: profile.uid || null, name: profile.name || null, field: 'profilePicture' });
+        });
+        return usage;
+    }
+
+    // Update alt text, caption and tags of an image
+    async updateImage(id, data) {
+        if (typeof id !== 'string' || !id.match(/^[0-9a-fA-F]{24}$/)) {
+            throw new NotFoundError('Invalid image ID format');
+        }
+        const update = { updatedAt: new Date() };
+        ['alt', 'caption'].forEach(field => {
+            if (data[field] !== undefined) {
+                update[field] = data[field];
+            }
+        });
+        if (data.tags !== undefined) {
+            update.tags = toImageTags(data.tags);
+        }
+        try {
+            const image = await this.db.collection('images').findOneAndUpdate(
+                { _id: new ObjectId(id) },
+                { $set: update },
+                { returnDocument: 'after' }
+            );
+            if (!image) {
+                throw new NotFoundError('Image not found');
+            }
+            const usage = await this.getImageUsage([image]);
+            return { ...image, usage: usage.get(id) };
+        } catch (error) {
+            console.error('Error updating image:', error);
+            throw error;
+        }
+    }
+
     async getImageById(id) {
         try {
             let image;
@@ -191,11 +953,11 @@ export class PortfolioAPI {
             if (id.match(/^[0-9a-fA-F]{24}$/)) {
                 image = await this.db.collection('images').findOne({ _id: new ObjectId(id) });
             } else {
-                throw new Error('Invalid image ID format');
+                throw new NotFoundError('Invalid image ID format');
             }
             
             if (!image) {
-                throw new Error('Image not found');
+                throw new NotFoundError('Image not found');
             }
             
             return image;
@@ -213,13 +975,13 @@ export class PortfolioAPI {
             if (id.match(/^[0-9a-fA-F]{24}$/)) {
                 query = { _id: new ObjectId(id) };
             } else {
-                throw new Error('Invalid image ID format');
+                throw new NotFoundError('Invalid image ID format');
             }
             
             const result = await this.db.collection('images').deleteOne(query);
             
             if (result.deletedCount === 0) {
-                throw new Error('Image not found');
+                throw new NotFoundError('Image not found');
             }
             
             return { success: true, message: 'Image metadata deleted successfully' };
@@ -0,0 +1,151 @@
+import { AppError } from './errors.js';
+
+/**
+ * Fixed-window rate limiting
+ *
+ * A store counts hits per key and window:
+ *   increment(key, windowMs) -> { count, resetAt }
+ *
+ * The memory store is per process; the MongoDB store shares counts between
+ * instances (RATE_LIMIT_STORE=mongo).
+ */
+
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+export const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+export const createMemoryStore = () => {
+    const windows = new Map();
+
+    // Drop finished windows so the map does not grow with every client seen
+    const timer = setInterval(() => {
+        const now = Date.now();
+        windows.forEach((entry, key) => {
+            if (entry.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    }, 60 * 1000);
+    timer.unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: new Date(entry.resetAt) };
+        },
+    };
+};
+
+/**
+ * Counts in the `rateLimits` collection, one document per key and window.
+ * A TTL index removes finished windows.
+ */
+export const createMongoStore = (db) => {
+    const collection = db.collection('rateLimits');
+
+    return {
+        name: 'mongo',
+
+        async increment(key, windowMs) {
+            const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+            const resetAt = new Date(windowStart + windowMs);
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    const entry = await collection.findOneAndUpdate(
+                        { _id: `${key}:${windowStart}` },
+                        { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+                        { upsert: true, returnDocument: 'after' }
+                    );
+                    return { count: entry.count, resetAt };
+                } catch (error) {
+                    // Two first hits of a window raced on the upsert
+                    if (error.code === 11000 && attempt < 2) {
+                        continue;
+                    }
+                    throw error;
+                }
+            }
+        },
+
+        async initialize() {
+            await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        },
+    };
+};
+
+let store = createMemoryStore();
+
+// Switch every limiter to another store, e.g. the MongoDB one once the database is connected
+export const setRateLimitStore = (nextStore) => {
+    store = nextStore;
+};
+
+/**
+ * Budget of a limiter, overridable with RATE_LIMIT_<NAME>=<max>/<seconds>
+ * (e.g. RATE_LIMIT_UPLOAD=20/3600)
+ */
+const getBudget = (name, max, windowMs) => {
+    const override = process.env[`RATE_LIMIT_${name.toUpperCase().replace(/-/g, '_')}`];
+    const match = override?.match(/^(\d+)\/(\d+)$/);
+    if (!match) {
+        return { max, windowMs };
+    }
+    return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * 1000 };
+};
+
+// Several limiters can apply to one request; the headers show the one closest to its limit
+const setHeaders = (res, { max, windowMs, remaining, resetAt }) => {
+    const current = res.get('RateLimit-Remaining');
+    if (current !== undefined && parseInt(current) < remaining) {
+        return;
+    }
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(remaining));
+    res.set('RateLimit-Reset', String(Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 0)));
+    res.set('RateLimit-Policy', `${max};w=${Math.round(windowMs / 1000)}`);
+};
+
+/**
+ * Express middleware that allows `max` requests per window and key
+ * @param {Object} options - name (budget name, part of the key), max, windowMs,
+ *   by: 'ip' or 'user' (the uid, falling back to the IP for anonymous callers)
+ */
+export const rateLimit = ({ name, max, windowMs, by = 'ip' }) => {
+    const budget = getBudget(name, max, windowMs);
+
+    return async (req, res, next) => {
+        if (!RATE_LIMIT_ENABLED || budget.max <= 0) {
+            return next();
+        }
+        const client = by === 'user' && req.user?.uid ? `uid:${req.user.uid}` : `ip:${req.ip}`;
+
+        let hit;
+        try {
+            hit = await store.increment(`${name}:${client}`, budget.windowMs);
+        } catch (error) {
+            // An unavailable store must not take the API down
+            console.error(`Rate limit store failed for ${name}:`, error);
+            return next();
+        }
+
+        const remaining = Math.max(budget.max - hit.count, 0);
+        setHeaders(res, { ...budget, remaining, resetAt: hit.resetAt });
+        if (hit.count > budget.max) {
+            const retryAfter = Math.max(Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000), 1);
+            res.set('Retry-After', String(retryAfter));
+            return next(new AppError('Too many requests, try again later', {
+                status: 429,
+                code: 'RATE_LIMITED',
+                details: { retryAfter },
+            }));
+        }
+        next();
+    };
+};
@@ -0,0 +1,120 @@
+import { ObjectId, BSON } from 'mongodb';
+import { NotFoundError, wrapError } from './errors.js';
+
+// Fields that change on every write or are not edited by people
+const IGNORED_DIFF_FIELDS = ['_id', 'updatedAt', 'likes', 'likedBy'];
+
+/**
+ * Field-level diff between two versions of a document
+ * @param {Object|null} before - Document before the write
+ * @param {Object|null} after - Document after the write
+ * @returns {Array} - [{ field, from, to }] for every changed top-level field
+ */
+export const computeDiff = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const diff = [];
+    fields.forEach(field => {
+        if (IGNORED_DIFF_FIELDS.includes(field)) {
+            return;
+        }
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (BSON.EJSON.stringify(from) !== BSON.EJSON.stringify(to)) {
+            diff.push({ field, from, to });
+        }
+    });
+    return diff;
+};
+
+export class RevisionsAPI {
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Save a snapshot of a document after a write
+     * @param {String} entityType - 'portfolio' or 'profile'
+     * @param {Object} before - Document before the write, null on create
+     * @param {Object} after - Document after the write
+     * @param {Object} user - Verified token user who made the change
+     * @param {String} action - create, update, delete, undelete or restore
+     */
+    async recordRevision(entityType, before, after, user, action = 'update') {
+        try {
+            const { likedBy, ...snapshot } = after;
+            const revision = {
+                entityType,
+                entityId: after._id,
+                action,
+                snapshot,
+                diff: computeDiff(before, after),
+                user: user ? { uid: user.uid, name: user.name || null } : null,
+                createdAt: new Date(),
+            };
+            const result = await this.db.collection('revisions').insertOne(revision);
+            return { ...revision, _id: result.insertedId };
+        } catch (error) {
+            console.error('Error recording revision:', error);
+            throw wrapError(error, 'Failed to record revision');
+        }
+    }
+
+    // Revisions of one document, newest first, without full snapshots
+    async getRevisions(entityType, entityId, { page = 1, limit = 20 } = {}) {
+        try {
+            const revisions = this.db.collection('revisions');
+            const query = { entityType, entityId };
+            const [total, items] = await Promise.all([
+                revisions.countDocuments(query),
+                revisions.find(query, { projection: { snapshot: 0 } })
+                    .sort({ createdAt: -1, _id: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .toArray(),
+            ]);
+            return { revisions: items, page, limit, total, totalPages: Math.ceil(total / limit) };
+        } catch (error) {
+            console.error('Error fetching revisions:', error);
+            throw wrapError(error, 'Failed to fetch revisions');
+        }
+    }
+
+    async getRevision(entityType, entityId, revisionId) {
+        if (typeof revisionId !== 'string' || !revisionId.match(/^[0-9a-fA-F]{24}$/)) {
+            throw new NotFoundError('Revision not found');
+        }
+        try {
+            const revision = await this.db.collection('revisions').findOne({
+                _id: new ObjectId(revisionId),
+                entityType,
+                entityId,
+            });
+            if (!revision) {
+                throw new NotFoundError('Revision not found');
+            }
+            return revision;
+        } catch (error) {
+            console.error('Error fetching revision:', error);
+            throw wrapError(error, 'Failed to fetch revision');
+        }
+    }
+
+    async deleteRevisions(entityType, entityIds) {
+        try {
+            const result = await this.db.collection('revisions').deleteMany({ entityType, entityId: { $in: entityIds } });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('Error deleting revisions:', error);
+            throw wrapError(error, 'Failed to delete revisions');
+        }
+    }
+
+    async initializeRevisions() {
+        try {
+            await this.db.collection('revisions').createIndex({ entityType: 1, entityId: 1, createdAt: -1 });
+        } catch (error) {
+            console.error('Error initializing revisions:', error);
+            throw error;
+        }
+    }
+}
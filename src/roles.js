@@ -0,0 +1,48 @@
+import { UnauthorizedError, ForbiddenError } from './errors.js';
+
+// Role model. Each role includes every permission of the roles before it.
+export const ROLES = ['visitor', 'editor', 'owner'];
+
+/**
+ * Map stored role names to the role model ('admin' is the owner)
+ * @param {String} role - Role as stored in MongoDB
+ * @returns {String} - One of ROLES, 'visitor' when unknown
+ */
+export const normalizeRole = (role) => {
+    if (role === 'admin') {
+        return 'owner';
+    }
+    return ROLES.includes(role) ? role : 'visitor';
+};
+
+/**
+ * Check whether a role grants at least the required role
+ * @param {String} role - Role of the caller
+ * @param {String} requiredRole - Minimum role needed
+ * @returns {Boolean}
+ */
+export const hasRole = (role, requiredRole) => {
+    return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(requiredRole);
+};
+
+/**
+ * Express middleware that only lets callers with at least the given role through.
+ * Must run after the auth middleware, which sets req.user.role.
+ * @param {String} requiredRole - One of ROLES
+ */
+export const requireRole = (requiredRole) => {
+    if (!ROLES.includes(requiredRole)) {
+        throw new Error(`Unknown role: ${requiredRole}`);
+    }
+    return (req, res, next) => {
+        if (!req.user) {
+            return next(new UnauthorizedError());
+        }
+        if (!hasRole(req.user.role, requiredRole)) {
+            return next(new ForbiddenError(`Forbidden: requires role '${requiredRole}'`, {
+                details: { requiredRole, role: normalizeRole(req.user.role) },
+            }));
+        }
+        next();
+    };
+};
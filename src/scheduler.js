@@ -0,0 +1,44 @@
+// Minimal in-process job scheduler for periodic maintenance tasks
+
+const jobs = new Map();
+
+/**
+ * Run a task now and then every intervalMs. A run is skipped while the
+ * previous one is still in progress, and errors are logged, not thrown.
+ * @param {String} name - Job name, used in logs
+ * @param {Number} intervalMs - Time between runs
+ * @param {Function} task - Async function to run
+ */
+export const scheduleJob = (name, intervalMs, task) => {
+    if (jobs.has(name)) {
+        throw new Error(`Job already scheduled: ${name}`);
+    }
+
+    let running = false;
+    const run = async () => {
+        if (running) {
+            return;
+        }
+        running = true;
+        try {
+            await task();
+        } catch (error) {
+            console.error(`Scheduled job '${name}' failed:`, error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for maintenance jobs
+    timer.unref();
+    jobs.set(name, timer);
+    run();
+    console.log(`Scheduled job '${name}' every ${Math.round(intervalMs / 1000)}s`);
+};
+
+// Stop all scheduled jobs, called when the server shuts down
+export const stopJobs = () => {
+    jobs.forEach(timer => clearInterval(timer));
+    jobs.clear();
+};
@@ -0,0 +1,165 @@
+// Request body schemas, also installed as MongoDB collection validators.
+// See validation.js for the field options.
+import { ROLES } from './roles.js';
+
+const urlField = { type: 'string', format: 'url', maxLength: 2048 };
+const tagList = { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 30 };
+
+export const portfolioSchema = {
+    name: 'portfolio',
+    collection: 'portfolios',
+    fields: {
+        _id: { readOnly: true },
+        id: { readOnly: true },
+        slug: { readOnly: true },
+        previousSlugs: { readOnly: true },
+        // Changed through PUT /api/portfolios/order
+        position: { readOnly: true },
+        likes: { readOnly: true },
+        likedBy: { readOnly: true },
+        myVote: { readOnly: true },
+        createdAt: { readOnly: true },
+        updatedAt: { readOnly: true },
+        title: { type: 'string', required: true, maxLength: 200 },
+        description: { type: 'string', maxLength: 5000 },
+        content: { type: 'string', maxLength: 50000 },
+        category: { type: 'string', maxLength: 100 },
+        client: { type: 'string', maxLength: 100 },
+        role: { type: 'string', maxLength: 100 },
+        image: urlField,
+        images: { type: 'array', items: urlField, maxItems: 30 },
+        technologies: { type: 'array', items: { type: 'string', maxLength: 50 }, maxItems: 50 },
+        tags: tagList,
+        liveUrl: urlField,
+        githubUrl: urlField,
+        demoUrl: urlField,
+        year: { type: 'integer', min: 1900, max: 2100 },
+        startDate: { type: 'date' },
+        endDate: { type: 'date' },
+        featured: { type: 'boolean' },
+        status: { type: 'string', enum: ['draft', 'published', 'scheduled', 'archived'] },
+        publishAt: { type: 'date' },
+        unpublishAt: { type: 'date' },
+        publishedAt: { readOnly: true },
+        deletedAt: { readOnly: true },
+        deletedBy: { readOnly: true },
+    },
+};
+
+export const profileSchema = {
+    name: 'profile',
+    collection: 'me',
+    fields: {
+        // Identity fields are immutable; echoed values are dropped
+        _id: { readOnly: true },
+        uid: { readOnly: true },
+        role: { readOnly: true },
+        status: { readOnly: true },
+        createdAt: { readOnly: true },
+        updatedAt: { readOnly: true },
+        name: { type: 'string', maxLength: 100 },
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        phone: { type: 'string', format: 'phone' },
+        bio: { type: 'string', maxLength: 2000 },
+        location: { type: 'string', maxLength: 100 },
+        profilePicture: urlField,
+        website: urlField,
+        github: urlField,
+        linkedin: urlField,
+        twitter: urlField,
+    },
+};
+
+export const articleSchema = {
+    name: 'article',
+    collection: 'articles',
+    fields: {
+        _id: { readOnly: true },
+        html: { readOnly: true },
+        myVote: { readOnly: true },
+        upvotes: { readOnly: true },
+        createdAt: { readOnly: true },
+        updatedAt: { readOnly: true },
+        publishedAt: { readOnly: true },
+        articleName: { type: 'string', format: 'slug', maxLength: 200 },
+        title: { type: 'string', required: true, maxLength: 200 },
+        content: { type: 'string', maxLength: 100000 },
+        tags: tagList,
+        status: { type: 'string', enum: ['draft', 'published'] },
+    },
+};
+
+export const commentSchema = {
+    name: 'comment',
+    collection: 'comments',
+    fields: {
+        text: { type: 'string', required: true, maxLength: 5000 },
+        // Sent as a hex string, stored as an ObjectId
+        parentId: { type: 'string', format: 'objectId', bsonType: 'objectId' },
+    },
+};
+
+// Library fields of an uploaded image; everything about the file itself is read-only
+export const imageSchema = {
+    name: 'image',
+    collection: 'images',
+    fields: {
+        _id: { readOnly: true },
+        url: { readOnly: true },
+        originalName: { readOnly: true },
+        folder: { readOnly: true },
+        driver: { readOnly: true },
+        key: { readOnly: true },
+        contentType: { readOnly: true },
+        size: { readOnly: true },
+        width: { readOnly: true },
+        height: { readOnly: true },
+        variants: { readOnly: true },
+        hash: { readOnly: true },
+        deleteUrl: { readOnly: true },
+        usage: { readOnly: true },
+        uploadedAt: { readOnly: true },
+        updatedAt: { readOnly: true },
+        alt: { type: 'string', maxLength: 500 },
+        caption: { type: 'string', maxLength: 2000 },
+        tags: tagList,
+    },
+};
+
+// Body of POST /api/uploads, which starts a chunked media upload
+export const mediaUploadSchema = {
+    name: 'mediaUpload',
+    fields: {
+        fileName: { type: 'string', required: true, maxLength: 255 },
+        contentType: { type: 'string', required: true, maxLength: 100 },
+        size: { type: 'integer', required: true, min: 1 },
+        folder: { type: 'string', format: 'slug', maxLength: 100 },
+    },
+};
+
+// Body of POST /api/auth/login (local auth provider)
+export const loginSchema = {
+    name: 'login',
+    fields: {
+        email: { type: 'string', required: true, format: 'email', maxLength: 254 },
+        password: { type: 'string', required: true, maxLength: 1024 },
+    },
+};
+
+// Body of PUT /api/portfolios/order
+export const portfolioOrderSchema = {
+    name: 'portfolioOrder',
+    fields: {
+        ids: { type: 'array', required: true, items: { type: 'string', format: 'objectId' }, maxItems: 1000 },
+    },
+};
+
+// Body of PUT /api/users/:uid/role
+export const userRoleSchema = {
+    name: 'userRole',
+    fields: {
+        role: { type: 'string', required: true, enum: ROLES },
+    },
+};
+
+export const collectionSchemas = [portfolioSchema, profileSchema, articleSchema, commentSchema, imageSchema];
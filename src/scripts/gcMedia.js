@@ -0,0 +1,42 @@
+/**
+ * Reconcile uploaded files with the database from the command line
+ *
+ *   npm run gc:media -- [--dry-run] [--grace-days=7] [--delete-unused] [--json]
+ *
+ * --dry-run        only report, delete nothing
+ * --grace-days     minimum age of an orphan before it is deleted
+ * --delete-unused  also delete images nothing references (only reported by default)
+ * --json           print the full report instead of a summary
+ */
+import { connectDatabase } from '../db.js';
+import { collectOrphans, summarizeOrphans } from '../orphans.js';
+
+const args = process.argv.slice(2);
+const option = (name) => args.find(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+const graceDays = option('grace-days') ? parseInt(option('grace-days').split('=')[1]) : undefined;
+
+if (graceDays !== undefined && !(graceDays >= 0)) {
+    console.error('--grace-days must be a number of days');
+    process.exit(1);
+}
+
+const { client, db } = await connectDatabase();
+try {
+    const report = await collectOrphans(db, {
+        dryRun: Boolean(option('dry-run')),
+        graceDays,
+        deleteUnused: Boolean(option('delete-unused')),
+    });
+    if (option('json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(summarizeOrphans(report));
+        report.drivers.filter(scan => scan.error).forEach(scan => console.log(`  ${scan.driver}: not scanned (${scan.error})`));
+        report.untrackedFiles.forEach(file => console.log(`  untracked ${file.driver}:${file.key}${file.deleted ? ' [deleted]' : ''}`));
+        report.missingFiles.forEach(record => console.log(`  missing   ${record.collection}/${record.id} ${record.driver}:${record.key}${record.deleted ? ' [deleted]' : ''}`));
+        report.unusedImages.forEach(image => console.log(`  unused    images/${image.id} ${image.url}${image.deleted ? ' [deleted]' : ''}`));
+        report.errors.forEach(error => console.log(`  error     ${error.driver}:${error.key} ${error.error}`));
+    }
+} finally {
+    await client.close();
+}
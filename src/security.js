@@ -0,0 +1,96 @@
+/**
+ * CORS allowlist and security headers
+ */
+
+// Origins of the frontend during development (Create React App, Vite, this server)
+const DEVELOPMENT_ORIGINS = [
+    'http://localhost:3000',
+    'http://localhost:3001',
+    'http://localhost:5173',
+    'http://localhost:8888',
+];
+
+// HSTS lifetime in seconds (180 days); 0 turns the header off
+const HSTS_MAX_AGE = parseInt(process.env.HSTS_MAX_AGE ?? '15552000');
+
+// Policy of the frontend app in dist/. Firebase Authentication talks to Google APIs and
+// opens its sign-in popup from the project's firebaseapp.com domain.
+const APP_CSP = process.env.CONTENT_SECURITY_POLICY || [
+    "default-src 'self'",
+    "script-src 'self' https://apis.google.com",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob: https:",
+    "media-src 'self' blob: https:",
+    "font-src 'self' data:",
+    "connect-src 'self' https://*.googleapis.com https://*.firebaseio.com",
+    "frame-src 'self' https://*.firebaseapp.com https://accounts.google.com",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    "frame-ancestors 'none'",
+].join('; ');
+
+// JSON responses never load anything
+const API_CSP = "default-src 'none'; frame-ancestors 'none'";
+
+/**
+ * Allowed origins: CORS_ORIGINS (comma-separated) or the development
+ * defaults outside production. An entry may start with a wildcard
+ * subdomain, e.g. https://*.vercel.app matches https://my-app.vercel.app
+ * (but not https://vercel.app itself).
+ */
+export const getAllowedOrigins = () => {
+    if (process.env.CORS_ORIGINS !== undefined) {
+        return process.env.CORS_ORIGINS.split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+    }
+    return process.env.NODE_ENV === 'production' ? [] : DEVELOPMENT_ORIGINS;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compile the allowlist to one matcher; wildcards match one or more subdomain labels
+const toOriginPattern = (origin) => {
+    const wildcard = origin.match(/^(https?:\/\/)\*\.(.+)$/);
+    if (!wildcard) {
+        return new RegExp(`^${escapeRegExp(origin)}$`, 'i');
+    }
+    const [, scheme, domain] = wildcard;
+    return new RegExp(`^${escapeRegExp(scheme)}([a-z0-9-]+\\.)+${escapeRegExp(domain)}$`, 'i');
+};
+
+/**
+ * Origin option for the cors middleware. Listed origins are reflected (with
+ * credentials); others get no CORS headers, so browsers block the response.
+ * Requests without an Origin header (same-origin, curl, servers) pass.
+ * @param {Array<String>} origins - Allowlist, see getAllowedOrigins
+ */
+export const createOriginCheck = (origins = getAllowedOrigins()) => {
+    const patterns = origins.map(toOriginPattern);
+    return (origin, callback) => {
+        callback(null, !origin || patterns.some(pattern => pattern.test(origin)));
+    };
+};
+
+/**
+ * Express middleware setting the security headers: nosniff, referrer policy,
+ * frame protection, HSTS on HTTPS requests, and a Content-Security-Policy
+ * for the app (strict for API responses). Uploaded files keep no CSP so
+ * browsers can show them directly.
+ */
+export const securityHeaders = () => {
+    return (req, res, next) => {
+        res.set('X-Content-Type-Options', 'nosniff');
+        res.set('Referrer-Policy', 'strict-origin-when-cross-origin');
+        res.set('X-Frame-Options', 'DENY');
+        // Over plain HTTP the header is ignored, req.secure needs trust proxy behind a proxy
+        if (HSTS_MAX_AGE > 0 && req.secure) {
+            res.set('Strict-Transport-Security', `max-age=${HSTS_MAX_AGE}; includeSubDomains`);
+        }
+        if (req.path.startsWith('/api/') || req.path === '/api') {
+            res.set('Content-Security-Policy', API_CSP);
+        } else if (!req.path.startsWith('/uploads/')) {
+            res.set('Content-Security-Policy', APP_CSP);
+        }
+        next();
+    };
+};
@@ -0,0 +1,52 @@
+/**
+ * Errors shared by the storage registry and its drivers. Kept apart from
+ * index.js, which imports every driver.
+ */
+import { UpstreamError } from '../errors.js';
+
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+
+/**
+ * Whether a failed storage call is worth retrying: timeouts, rate limits,
+ * 5xx responses and network errors
+ * @param {Error} error - Error thrown by fetch or a storage SDK
+ * @param {Number} status - HTTP status, when known
+ */
+export const isTransientError = (error, status = null) => {
+    const httpStatus = status ?? error?.$metadata?.httpStatusCode ?? (typeof error?.code === 'number' ? error.code : null);
+    if (httpStatus) {
+        return TRANSIENT_STATUSES.includes(httpStatus);
+    }
+    const code = error?.code || error?.cause?.code;
+    // fetch() rejects with a TypeError when the request never got a response
+    return TRANSIENT_CODES.includes(code) || error?.$retryable !== undefined || (error instanceof TypeError && error.message === 'fetch failed');
+};
+
+export class StorageError extends UpstreamError {
+    constructor(message, { driver, code = 'STORAGE_ERROR', transient = false, status = transient ? 503 : 502, details, cause } = {}) {
+        super(message, { status, code, details, cause });
+        this.name = 'StorageError';
+        this.driver = driver;
+        this.code = code;
+        this.transient = transient;
+    }
+}
+
+/**
+ * Upload that failed on every configured driver. status is 503 when the
+ * storage is unavailable or not configured (worth retrying later), else 502.
+ */
+export class UploadError extends StorageError {
+    constructor(message, { driver, status = 502, attempts = [], cause } = {}) {
+        super(message, {
+            driver,
+            code: 'UPLOAD_FAILED',
+            status,
+            details: { attempts: attempts.map(attempt => ({ driver: attempt.driver, code: attempt.code })) },
+            cause,
+        });
+        this.name = 'UploadError';
+        this.attempts = attempts;
+    }
+}
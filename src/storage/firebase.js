@@ -0,0 +1,93 @@
+import admin from 'firebase-admin';
+import { randomUUID } from 'crypto';
+import { pipeline } from 'stream/promises';
+import { StorageError, isTransientError } from './errors.js';
+import { initializeFirebase } from '../firebase.js';
+
+/**
+ * Firebase Storage, using the bucket from the Firebase app initialization.
+ * Files get a download token so their URL works without signing.
+ */
+export const createFirebaseDriver = () => {
+    // Resolved lazily, so Firebase credentials are only needed once the driver is used
+    const getBucket = () => {
+        initializeFirebase();
+        return admin.storage().bucket();
+    };
+
+    const toUrl = (bucketName, key, token) =>
+        `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodeURIComponent(key)}?alt=media&token=${token}`;
+
+    return {
+        name: 'firebase',
+
+        async upload(buffer, { key, contentType }) {
+            try {
+                const bucket = getBucket();
+                const token = randomUUID();
+                await bucket.file(key).save(buffer, {
+                    resumable: false,
+                    contentType,
+                    metadata: { metadata: { firebaseStorageDownloadTokens: token } },
+                });
+                return { key, url: toUrl(bucket.name, key, token), size: buffer.length };
+            } catch (error) {
+                throw new StorageError('Failed to upload to Firebase Storage', { driver: 'firebase', transient: isTransientError(error), cause: error });
+            }
+        },
+
+        async uploadStream(stream, { key, contentType, size }) {
+            try {
+                const bucket = getBucket();
+                const token = randomUUID();
+                await pipeline(stream, bucket.file(key).createWriteStream({
+                    contentType,
+                    metadata: { metadata: { firebaseStorageDownloadTokens: token } },
+                }));
+                return { key, url: toUrl(bucket.name, key, token), size };
+            } catch (error) {
+                throw new StorageError('Failed to upload to Firebase Storage', { driver: 'firebase', transient: isTransientError(error), cause: error });
+            }
+        },
+
+        async delete(key) {
+            try {
+                await getBucket().file(key).delete({ ignoreNotFound: true });
+                return true;
+            } catch (error) {
+                throw new StorageError('Failed to delete from Firebase Storage', { driver: 'firebase', transient: isTransientError(error), cause: error });
+            }
+        },
+
+        async list(prefix = '', { maxResults = 100 } = {}) {
+            try {
+                const bucket = getBucket();
+                const [files] = await bucket.getFiles({ prefix, maxResults });
+                return files.map(file => {
+                    const token = file.metadata.metadata?.firebaseStorageDownloadTokens?.split(',')[0];
+                    return {
+                        key: file.name,
+                        url: token ? toUrl(bucket.name, file.name, token) : `https://storage.googleapis.com/${bucket.name}/${file.name}`,
+                        size: Number(file.metadata.size),
+                        contentType: file.metadata.contentType,
+                        created: file.metadata.timeCreated,
+                    };
+                });
+            } catch (error) {
+                throw new StorageError('Failed to list Firebase Storage files', { driver: 'firebase', transient: isTransientError(error), cause: error });
+            }
+        },
+
+        async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+            try {
+                const [url] = await getBucket().file(key).getSignedUrl({
+                    action: 'read',
+                    expires: Date.now() + expiresIn * 1000,
+                });
+                return url;
+            } catch (error) {
+                throw new StorageError('Failed to sign Firebase Storage URL', { driver: 'firebase', transient: isTransientError(error), cause: error });
+            }
+        },
+    };
+};
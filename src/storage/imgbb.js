@@ -0,0 +1,67 @@
+import { StorageError, isTransientError } from './errors.js';
+
+/**
+ * ImgBB free image hosting (https://imgbb.com/), needs IMAGEBB_API_KEY.
+ * ImgBB has no API to delete, list or sign images: the upload's delete page
+ * URL is returned so the image can be removed by hand.
+ */
+export const createImgbbDriver = () => {
+    const unsupported = (operation) => new StorageError(`ImgBB does not support ${operation}`, { driver: 'imgbb', code: 'UNSUPPORTED' });
+
+    return {
+        name: 'imgbb',
+
+        async upload(buffer, { key }) {
+            if (!process.env.IMAGEBB_API_KEY) {
+                throw new StorageError('IMAGEBB_API_KEY is not configured', { driver: 'imgbb', code: 'NOT_CONFIGURED' });
+            }
+
+            const formData = new URLSearchParams();
+            formData.append('image', buffer.toString('base64'));
+            formData.append('name', key.split('/').pop());
+
+            let response;
+            try {
+                response = await fetch(`https://api.imgbb.com/1/upload?key=${process.env.IMAGEBB_API_KEY}`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                    },
+                    body: formData.toString(),
+                    signal: AbortSignal.timeout(30 * 1000),
+                });
+            } catch (error) {
+                // Network failure or timeout
+                throw new StorageError('Failed to reach ImgBB', { driver: 'imgbb', transient: true, cause: error });
+            }
+
+            const data = await response.json().catch(() => null);
+            if (!response.ok || !data?.success) {
+                const message = data?.error?.message || `HTTP error! status: ${response.status}`;
+                throw new StorageError(`ImgBB upload failed: ${message}`, {
+                    driver: 'imgbb',
+                    transient: isTransientError(null, response.status),
+                });
+            }
+            // The ImgBB id is the key, the URL is only known from the response
+            return { key: data.data.id, url: data.data.url, size: Number(data.data.size) || buffer.length, deleteUrl: data.data.delete_url };
+        },
+
+        async uploadStream(stream) {
+            stream.destroy();
+            throw unsupported('files other than images');
+        },
+
+        async delete() {
+            throw unsupported('deleting images through the API');
+        },
+
+        async list() {
+            throw unsupported('listing images');
+        },
+
+        async getSignedUrl() {
+            throw unsupported('signed URLs');
+        },
+    };
+};
@@ -0,0 +1,172 @@
+/**
+ * Storage driver registry
+ *
+ * Every driver implements:
+ *   upload(buffer, { key, contentType, originalName }) -> { key, url, size, deleteUrl? }
+ *   uploadStream(stream, { key, contentType, size })   -> { key, url, size }
+ *   delete(key)                                        -> Boolean
+ *   list(prefix, { maxResults })                       -> [{ key, url, size, contentType, created }]
+ *   getSignedUrl(key, { expiresIn })                   -> String
+ *
+ * The active driver is chosen with STORAGE_DRIVER (local, firebase, imgbb or s3).
+ */
+import { createLocalDriver } from './local.js';
+import { createFirebaseDriver } from './firebase.js';
+import { createImgbbDriver } from './imgbb.js';
+import { createS3Driver } from './s3.js';
+import { StorageError, UploadError, isTransientError } from './errors.js';
+
+export { StorageError, UploadError, isTransientError };
+
+const factories = {
+    local: createLocalDriver,
+    firebase: createFirebaseDriver,
+    imgbb: createImgbbDriver,
+    s3: createS3Driver,
+};
+
+const drivers = new Map();
+
+export const DEFAULT_DRIVER = process.env.STORAGE_DRIVER || 'imgbb';
+// Optional second driver used when the default one fails
+export const FALLBACK_DRIVER = process.env.STORAGE_FALLBACK_DRIVER || null;
+// Drivers that can stream large media (videos, PDFs); ImgBB only hosts images
+const STREAMING_DRIVERS = ['local', 'firebase', 's3'];
+// Driver for large media, null when it is not set and the default driver cannot hold media
+export const MEDIA_DRIVER = process.env.MEDIA_STORAGE_DRIVER || (STREAMING_DRIVERS.includes(DEFAULT_DRIVER) ? DEFAULT_DRIVER : null);
+const UPLOAD_RETRIES = parseInt(process.env.STORAGE_UPLOAD_RETRIES ?? '2');
+const RETRY_BASE_DELAY_MS = parseInt(process.env.STORAGE_RETRY_BASE_DELAY_MS ?? '300');
+
+/**
+ * Get a storage driver by name, created once per process
+ * @param {String} name - Driver name, defaults to STORAGE_DRIVER
+ */
+export const getStorage = (name = DEFAULT_DRIVER) => {
+    if (!factories[name]) {
+        throw new StorageError(`Unknown storage driver: ${name}`, { driver: name, code: 'UNKNOWN_DRIVER' });
+    }
+    if (!drivers.has(name)) {
+        drivers.set(name, factories[name]());
+    }
+    return drivers.get(name);
+};
+
+/**
+ * Guess the driver of an image record saved before records named their driver
+ * @param {String} url - Public URL of the image
+ * @returns {String|null}
+ */
+export const inferDriverFromUrl = (url = '') => {
+    if (/^https?:\/\/([^/]+\.)?ibb\.co\//.test(url)) return 'imgbb';
+    if (/firebasestorage\.googleapis\.com|storage\.googleapis\.com/.test(url)) return 'firebase';
+    if (/\/uploads\//.test(url)) return 'local';
+    return null;
+};
+
+/**
+ * Recover the storage key of an image record saved before records kept their key
+ * @param {String} url - Public URL of the image
+ * @returns {String|null} - Null when the URL does not contain the key (ImgBB)
+ */
+export const inferKeyFromUrl = (url = '') => {
+    const match = inferDriverFromUrl(url) === 'firebase'
+        // Download URLs encode the whole path after /o/, public URLs follow the bucket name
+        ? url.match(/\/o\/([^?#]+)/) || url.match(/storage\.googleapis\.com\/[^/]+\/([^?#]+)/)
+        : inferDriverFromUrl(url) === 'local' && url.match(/\/uploads\/([^?#]+)/);
+    if (!match) return null;
+    try {
+        return match[1].split('/').map(decodeURIComponent).join('/');
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Build a unique storage key for an upload
+ * @param {String} folder - Folder name
+ * @param {String} originalName - Client file name
+ */
+export const buildKey = (folder, originalName) => {
+    const safeFolder = String(folder || 'images').replace(/[^a-zA-Z0-9_\-/]/g, '').replace(/^\/+|\/+$/g, '') || 'images';
+    const safeName = String(originalName || 'file').replace(/\s+/g, '-').replace(/[^a-zA-Z0-9._-]/g, '');
+    const random = Math.random().toString(36).slice(2, 8);
+    return `${safeFolder}/${Date.now()}-${random}-${safeName}`;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Upload to one driver, retrying transient failures with exponential backoff and jitter
+const uploadWithRetry = async (driver, send) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await send(driver);
+        } catch (error) {
+            if (!error.transient || attempt >= UPLOAD_RETRIES) {
+                throw error;
+            }
+            const delay = RETRY_BASE_DELAY_MS * 2 ** attempt * (0.5 + Math.random() / 2);
+            console.warn(`Upload to ${driver.name} failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+            await sleep(delay);
+        }
+    }
+};
+
+// Try each driver in turn until one stores the file
+const storeWithFallback = async (primary, send, options) => {
+    const names = [primary, FALLBACK_DRIVER].filter((name, index, all) => name && all.indexOf(name) === index);
+    const attempts = [];
+
+    for (const name of names) {
+        try {
+            const driver = getStorage(name);
+            const stored = await uploadWithRetry(driver, send);
+            if (!stored?.url) {
+                throw new StorageError('Storage returned no URL', { driver: name });
+            }
+            if (attempts.length > 0) {
+                console.warn(`Upload stored with fallback driver ${name}`);
+            }
+            return { driver: name, ...stored };
+        } catch (error) {
+            console.error(`Upload to ${name} failed:`, error);
+            attempts.push({ driver: name, code: error.code || 'STORAGE_ERROR', transient: Boolean(error.transient), message: error.message });
+        }
+    }
+
+    // Only unavailable or unconfigured storage is worth retrying later
+    const unavailable = attempts.every(attempt => attempt.transient || attempt.code === 'NOT_CONFIGURED' || attempt.code === 'UNKNOWN_DRIVER');
+    throw new UploadError(`Failed to upload ${options.originalName || 'file'}`, {
+        driver: names[names.length - 1],
+        status: unavailable ? 503 : 502,
+        attempts,
+    });
+};
+
+/**
+ * Upload a file to the default driver, falling back to STORAGE_FALLBACK_DRIVER
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - key, contentType, originalName
+ * @returns {Promise<Object>} - { driver, key, url, size, deleteUrl? }
+ * @throws {UploadError} - When no driver stored the file
+ */
+export const uploadFile = (buffer, options) => {
+    return storeWithFallback(DEFAULT_DRIVER, driver => driver.upload(buffer, options), options);
+};
+
+/**
+ * Whether MEDIA_STORAGE_DRIVER or STORAGE_FALLBACK_DRIVER can store large media
+ * @returns {Boolean}
+ */
+export const canStoreMedia = () => [MEDIA_DRIVER, FALLBACK_DRIVER].some(name => STREAMING_DRIVERS.includes(name));
+
+/**
+ * Stream a large file to MEDIA_STORAGE_DRIVER without holding it in memory,
+ * falling back to STORAGE_FALLBACK_DRIVER
+ * @param {Function} createStream - Returns a new readable stream of the file, called once per attempt
+ * @param {Object} options - key, contentType, size, originalName
+ * @returns {Promise<Object>} - { driver, key, url, size }
+ * @throws {UploadError} - When no driver stored the file
+ */
+export const uploadStream = (createStream, options) => {
+    return storeWithFallback(MEDIA_DRIVER, driver => driver.uploadStream(createStream(), options), options);
+};
@@ -0,0 +1,100 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { StorageError } from './errors.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Local disk storage (for development). Files are served by the
+ * /uploads static route in server.js.
+ */
+export const createLocalDriver = () => {
+    const root = process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+    const baseUrl = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 8888}`).replace(/\/+$/, '');
+
+    // Keys must stay inside the uploads directory
+    const resolve = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+            throw new StorageError(`Invalid storage key: ${key}`, { driver: 'local', code: 'INVALID_KEY' });
+        }
+        return filePath;
+    };
+    const toUrl = (key) => `${baseUrl}/uploads/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+    return {
+        name: 'local',
+
+        async upload(buffer, { key }) {
+            const filePath = resolve(key);
+            try {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.writeFile(filePath, buffer);
+            } catch (error) {
+                throw new StorageError('Failed to write file', { driver: 'local', cause: error });
+            }
+            return { key, url: toUrl(key), size: buffer.length };
+        },
+
+        async uploadStream(stream, { key }) {
+            const filePath = resolve(key);
+            try {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await pipeline(stream, createWriteStream(filePath));
+                const stat = await fs.stat(filePath);
+                return { key, url: toUrl(key), size: stat.size };
+            } catch (error) {
+                throw new StorageError('Failed to write file', { driver: 'local', cause: error });
+            }
+        },
+
+        async delete(key) {
+            try {
+                await fs.unlink(resolve(key));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return false;
+                }
+                throw new StorageError('Failed to delete file', { driver: 'local', cause: error });
+            }
+        },
+
+        async list(prefix = '', { maxResults = 100 } = {}) {
+            const results = [];
+            const walk = async (dir) => {
+                let entries;
+                try {
+                    entries = await fs.readdir(dir, { withFileTypes: true });
+                } catch (error) {
+                    if (error.code === 'ENOENT') return;
+                    throw error;
+                }
+                for (const entry of entries) {
+                    if (results.length >= maxResults) return;
+                    const fullPath = path.join(dir, entry.name);
+                    if (entry.isDirectory()) {
+                        await walk(fullPath);
+                    } else {
+                        const key = path.relative(root, fullPath).split(path.sep).join('/');
+                        if (key.startsWith(prefix)) {
+                            const stat = await fs.stat(fullPath);
+                            results.push({ key, url: toUrl(key), size: stat.size, contentType: null, created: stat.mtime });
+                        }
+                    }
+                }
+            };
+            await walk(root);
+            return results;
+        },
+
+        // Local files are public, there is nothing to sign
+        async getSignedUrl(key) {
+            resolve(key);
+            return toUrl(key);
+        },
+    };
+};
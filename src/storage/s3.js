@@ -0,0 +1,95 @@
+import { S3Client, PutObjectCommand, DeleteObjectCommand, ListObjectsV2Command, GetObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+import { StorageError, isTransientError } from './errors.js';
+
+/**
+ * S3-compatible object storage (AWS S3, Cloudflare R2, MinIO, ...).
+ * Configured with S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+ * S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL and S3_FORCE_PATH_STYLE.
+ */
+export const createS3Driver = () => {
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+        throw new StorageError('S3_BUCKET is not configured', { driver: 's3', code: 'NOT_CONFIGURED' });
+    }
+
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: process.env.S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        } : undefined,
+    });
+
+    const publicBase = (process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`).replace(/\/+$/, '');
+    const toUrl = (key) => `${publicBase}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+    return {
+        name: 's3',
+
+        async upload(buffer, { key, contentType }) {
+            try {
+                await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType }));
+                return { key, url: toUrl(key), size: buffer.length };
+            } catch (error) {
+                throw new StorageError('Failed to upload to S3', { driver: 's3', transient: isTransientError(error), cause: error });
+            }
+        },
+
+        // A single PUT takes up to 5GB when the length is known up front
+        async uploadStream(stream, { key, contentType, size }) {
+            try {
+                await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: stream, ContentType: contentType, ContentLength: size }));
+                return { key, url: toUrl(key), size };
+            } catch (error) {
+                throw new StorageError('Failed to upload to S3', { driver: 's3', transient: isTransientError(error), cause: error });
+            }
+        },
+
+        async delete(key) {
+            try {
+                await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+                return true;
+            } catch (error) {
+                throw new StorageError('Failed to delete from S3', { driver: 's3', transient: isTransientError(error), cause: error });
+            }
+        },
+
+        // Follows continuation tokens, S3 returns at most 1000 keys per call
+        async list(prefix = '', { maxResults = 100 } = {}) {
+            try {
+                const results = [];
+                let ContinuationToken;
+                do {
+                    const response = await client.send(new ListObjectsV2Command({
+                        Bucket: bucket,
+                        Prefix: prefix,
+                        MaxKeys: Math.min(maxResults - results.length, 1000),
+                        ContinuationToken,
+                    }));
+                    (response.Contents || []).forEach(object => results.push({
+                        key: object.Key,
+                        url: toUrl(object.Key),
+                        size: object.Size,
+                        contentType: null,
+                        created: object.LastModified,
+                    }));
+                    ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+                } while (ContinuationToken && results.length < maxResults);
+                return results;
+            } catch (error) {
+                throw new StorageError('Failed to list S3 objects', { driver: 's3', transient: isTransientError(error), cause: error });
+            }
+        },
+
+        async getSignedUrl(key, { expiresIn = 3600 } = {}) {
+            try {
+                return await getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+            } catch (error) {
+                throw new StorageError('Failed to sign S3 URL', { driver: 's3', transient: isTransientError(error), cause: error });
+            }
+        },
+    };
+};
@@ -1,6 +1,8 @@
 import multer from 'multer';
-import admin from 'firebase-admin';
-import { uploadImageToImageBB } from './imagebb.js';
+import { getStorage, uploadFile, inferDriverFromUrl, inferKeyFromUrl, buildKey } from './storage/index.js';
+import { createHash } from 'crypto';
+import { processImage, variantKey, withExtension } from './imageProcessing.js';
+import { AppError, ValidationError, ConflictError, wrapError } from './errors.js';
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
@@ -12,7 +14,7 @@ const fileFilter = (req, file, cb) => {
     if (allowedTypes.includes(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.'), false);
+        cb(new AppError('Invalid file type. Only JPEG, PNG, GIF, and WebP images are allowed.', { status: 415, code: 'UNSUPPORTED_MEDIA_TYPE' }), false);
     }
 };
 
@@ -25,232 +27,286 @@ export const upload = multer({
     }
 });
 
-// Get Firebase Storage bucket
-const getBucket = () => {
-    return admin.storage().bucket(); // Uses bucket from Firebase app initialization
+// Files uploaded at the same time by one batch request
+const UPLOAD_CONCURRENCY = parseInt(process.env.UPLOAD_CONCURRENCY) || 3;
+
+// Result of a file that failed in a batch, in the shape of the error envelope.
+// Rejected files are client errors, storage failures are upstream errors (502/503), anything else is ours
+const describeUploadError = (error, fallbackMessage) => {
+    const { status, code, message, details } = wrapError(error, fallbackMessage);
+    return { status, body: { error: message, code, ...details } };
 };
 
-// Image upload function moved to imagebb.js
+// Run task over items with at most `limit` running at once, results in input order
+const mapWithConcurrency = async (items, limit, task) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await task(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
 
 /**
- * Delete image from Firebase Storage
- * @param {String} imageUrl - The public URL of the image
- * @returns {Promise<Boolean>}
+ * Process an uploaded image and store it with its responsive variants.
+ * The main image must be stored; a variant that fails is logged and left out.
+ * A file that was uploaded before (same SHA-256) is not stored again.
+ * @param {Object} file - File from multer
+ * @param {String} folder - Storage folder
+ * @param {PortfolioAPI} portfolioAPI - Used to find duplicates and save metadata, optional
+ * @returns {Promise<Object>} - Image record, with duplicate: true when it already existed
  */
-export const deleteImageFromFirebase = async (imageUrl) => {
-    try {
-        const bucket = getBucket();
-        
-        // Extract filename from URL
-        const urlParts = imageUrl.split('/');
-        const fileName = decodeURIComponent(urlParts.slice(4).join('/'));
-        
-        // Delete the file
-        await bucket.file(fileName).delete();
-        
-        return true;
-    } catch (error) {
-        console.error('Error deleting image from Firebase:', error);
-        throw new Error('Failed to delete image');
+const storeImage = async (file, folder, portfolioAPI = null) => {
+    const hash = createHash('sha256').update(file.buffer).digest('hex');
+    if (portfolioAPI) {
+        const existing = await portfolioAPI.getImageByHash(hash);
+        if (existing) {
+            return { ...existing, duplicate: true };
+        }
     }
+
+    // Throws ImageError for content that is not an accepted image
+    const processed = await processImage(file.buffer);
+    const { original } = processed;
+
+    // Throws UploadError unless the file was really stored
+    const stored = await uploadFile(original.buffer, {
+        key: withExtension(buildKey(folder, file.originalname), original.format),
+        contentType: original.contentType,
+        originalName: file.originalname,
+    });
+
+    const variants = [];
+    for (const variant of processed.variants) {
+        try {
+            const storedVariant = await uploadFile(variant.buffer, {
+                key: variantKey(stored.key, variant),
+                contentType: variant.contentType,
+                originalName: file.originalname,
+            });
+            variants.push({
+                width: variant.width,
+                height: variant.height,
+                format: variant.format,
+                contentType: variant.contentType,
+                size: variant.size,
+                url: storedVariant.url,
+                driver: storedVariant.driver,
+                key: storedVariant.key,
+            });
+        } catch (error) {
+            console.error(`Failed to store ${variant.width}w ${variant.format} variant:`, error);
+        }
+    }
+
+    const image = {
+        url: stored.url,
+        originalName: file.originalname,
+        folder,
+        driver: stored.driver,
+        key: stored.key,
+        contentType: original.contentType,
+        size: stored.size ?? original.size,
+        width: original.width,
+        height: original.height,
+        variants,
+        hash,
+        deleteUrl: stored.deleteUrl,
+    };
+    
+    // Save image metadata to MongoDB if portfolioAPI is available
+    if (portfolioAPI) {
+        try {
+            return await portfolioAPI.saveImageMetadata(image);
+        } catch (dbError) {
+            console.error('Failed to save image metadata to DB:', dbError);
+            // A file without a record could not be listed or deleted, so it is removed again
+            for (const file of [image, ...variants]) {
+                await getStorage(file.driver).delete(file.key).catch((error) => {
+                    console.error(`Failed to remove unrecorded file ${file.key}:`, error);
+                });
+            }
+            throw wrapError(dbError, 'Failed to save image metadata');
+        }
+    }
+    return image;
 };
 
+// Upload response fields of a stored image
+const toUploadResult = (image) => ({
+    id: image._id || null,
+    imageUrl: image.url,
+    width: image.width,
+    height: image.height,
+    variants: (image.variants || []).map(({ width, height, format, url }) => ({ width, height, format, url })),
+    duplicate: Boolean(image.duplicate),
+});
+
 /**
  * Express route handler for single image upload
  * Now also saves metadata to MongoDB for tracking
  */
 export const handleImageUpload = async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
-        
-        const folder = req.body.folder || 'images';
-        
-        const imageUrl = await uploadImageToImageBB(
-            req.file.buffer,
-            req.file.originalname,
-            req.file.mimetype,
-            folder
-        );
-        
-        // Save image metadata to MongoDB if portfolioAPI is available
-        if (req.portfolioAPI) {
-            try {
-                await req.portfolioAPI.saveImageMetadata(imageUrl, req.file.originalname, folder);
-            } catch (dbError) {
-                console.error('Failed to save image metadata to DB:', dbError);
-                // Continue even if DB save fails
-            }
-        }
-        
-        res.json({
-            success: true,
-            imageUrl: imageUrl,
-            message: 'Image uploaded successfully'
-        });
-        
-    } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ 
-            error: error.message || 'Failed to upload image' 
-        });
+    if (!req.file) {
+        throw new ValidationError('No file uploaded', [{ field: 'image', message: 'is required' }]);
     }
+    
+    const folder = req.body.folder || 'images';
+    const image = await storeImage(req.file, folder, req.portfolioAPI);
+    
+    res.json({
+        success: true,
+        ...toUploadResult(image),
+        message: image.duplicate ? 'Image already uploaded' : 'Image uploaded successfully'
+    });
 };
 
 /**
  * Express route handler for multiple images upload
+ * Every file gets its own result, so one bad file does not fail the batch:
+ * 200 when all files were stored, 207 when some failed, and the status of
+ * the first failure when none were stored
  */
 export const handleMultipleImagesUpload = async (req, res) => {
-    try {
-        if (!req.files || req.files.length === 0) {
-            return res.status(400).json({ error: 'No files uploaded' });
+    if (!req.files || req.files.length === 0) {
+        throw new ValidationError('No files uploaded', [{ field: 'images', message: 'is required' }]);
+    }
+    
+    const folder = req.body.folder || 'images';
+    
+    const results = await mapWithConcurrency(req.files, UPLOAD_CONCURRENCY, async (file) => {
+        try {
+            const image = await storeImage(file, folder, req.portfolioAPI);
+            return { originalName: file.originalname, success: true, ...toUploadResult(image) };
+        } catch (error) {
+            console.error(`Upload error for ${file.originalname}:`, error);
+            const { status, body } = describeUploadError(error, 'Failed to upload image');
+            return { originalName: file.originalname, success: false, status, ...body };
         }
-        
-        const folder = 'images';
-        
-        // Upload all images in parallel
-        const uploadPromises = req.files.map(file => 
-            uploadImageToImageBB(
-                file.buffer,
-                file.originalname,
-                file.mimetype,
-                folder
-            )
-        );
-        
-        const imageUrls = await Promise.all(uploadPromises);
-        
-        res.json({
-            success: true,
-            imageUrls: imageUrls,
-            count: imageUrls.length,
-            message: 'Images uploaded successfully'
-        });
-        
-    } catch (error) {
-        console.error('Upload error:', error);
-        res.status(500).json({ 
-            error: error.message || 'Failed to upload images' 
-        });
+    });
+    
+    const uploaded = results.filter(result => result.success);
+    const failed = results.filter(result => !result.success);
+    const status = failed.length === 0 ? 200 : uploaded.length > 0 ? 207 : failed[0].status;
+    if (status === 503) {
+        res.set('Retry-After', '30');
     }
+    
+    res.status(status).json({
+        success: failed.length === 0,
+        imageUrls: uploaded.map(result => result.imageUrl),
+        count: uploaded.length,
+        failedCount: failed.length,
+        results,
+        message: failed.length === 0
+            ? 'Images uploaded successfully'
+            : `${uploaded.length} of ${results.length} images uploaded`
+    });
 };
 
 /**
  * Express route handler for deleting an image
  */
 export const handleImageDelete = async (req, res) => {
+    const { id } = req.params;
+    
+    if (!id) {
+        throw new ValidationError('Image ID is required');
+    }
+    
+    // Get image metadata from MongoDB if portfolioAPI is available
+    if (!req.portfolioAPI) {
+        throw new AppError('Database connection not available', { status: 503, code: 'DATABASE_UNAVAILABLE' });
+    }
+    
+    // Get image metadata to find where the file is stored
+    const image = await req.portfolioAPI.getImageById(id);
+    
+    // Refuse to break pages that still show the image, unless forced
+    const usage = (await req.portfolioAPI.getImageUsage([image])).get(image._id.toString());
+    if (usage.length > 0 && req.query.force !== 'true') {
+        throw new ConflictError('Image is in use. Remove the references or retry with ?force=true', {
+            code: 'IMAGE_IN_USE',
+            details: { usage },
+        });
+    }
+    
+    // Records saved before drivers and keys were stored only have a URL
+    const driver = image.driver || inferDriverFromUrl(image.url);
+    const key = image.key || inferKeyFromUrl(image.url);
+    
+    // Delete from the storage the image was uploaded to
     try {
-        const { id } = req.params;
-        
-        if (!id) {
-            return res.status(400).json({ error: 'Image ID is required' });
+        if (!driver || !key) {
+            throw new Error(`Unknown storage location for image ${id}`);
         }
-        
-        // Get image metadata from MongoDB if portfolioAPI is available
-        if (!req.portfolioAPI) {
-            return res.status(500).json({ error: 'Database connection not available' });
-        }
-        
-        // Get image metadata to retrieve the URL
-        const image = await req.portfolioAPI.getImageById(id);
-        const imageUrl = image.url;
-        
-        // Delete from storage (Firebase Storage)
+        await getStorage(driver).delete(key);
+    } catch (storageError) {
+        console.error('Error deleting image from storage:', storageError);
+        // Continue with DB deletion even if storage deletion fails
+    }
+    for (const variant of image.variants || []) {
         try {
-            await deleteImageFromFirebase(imageUrl);
+            await getStorage(variant.driver).delete(variant.key);
         } catch (storageError) {
-            console.error('Error deleting image from storage:', storageError);
-            // Continue with DB deletion even if storage deletion fails
+            console.error('Error deleting image variant from storage:', storageError);
         }
-        
-        // Delete image metadata from MongoDB
-        await req.portfolioAPI.deleteImageById(id);
-        
-        res.json({
-            success: true,
-            message: 'Image deleted successfully'
-        });
-        
-    } catch (error) {
-        console.error('Delete error:', error);
-        const statusCode = error.message === 'Image not found' || error.message === 'Invalid image ID format' ? 404 : 500;
-        res.status(statusCode).json({ 
-            error: error.message || 'Failed to delete image' 
-        });
-    }
-};
-
-/**
- * List all images from a specific folder in Firebase Storage
- * @param {String} folder - Folder path (e.g., 'images', 'portfolios')
- * @param {Number} maxResults - Maximum number of results (default: 100)
- * @returns {Promise<Array>} - Array of image objects with name, url, and metadata
- */
-export const listImagesFromFirebase = async (folder = 'images', maxResults = 100) => {
-    try {
-        const bucket = getBucket();
-        
-        // Get all files from the specified folder
-        const [files] = await bucket.getFiles({
-            prefix: folder + '/',
-            maxResults: maxResults,
-        });
-        
-        // Map files to useful information
-        const imageList = files.map(file => {
-            const publicUrl = `https://storage.googleapis.com/${bucket.name}/${file.name}`;
-            return {
-                name: file.name,
-                url: publicUrl,
-                size: file.metadata.size,
-                contentType: file.metadata.contentType,
-                created: file.metadata.timeCreated,
-                updated: file.metadata.updated,
-            };
-        });
-        
-        return imageList;
-        
-    } catch (error) {
-        console.error('Error listing images from Firebase:', error);
-        throw new Error('Failed to list images');
     }
+    
+    // Delete image metadata from MongoDB
+    await req.portfolioAPI.deleteImageById(id);
+    
+    res.json({
+        success: true,
+        ...(usage.length > 0 ? { brokenReferences: usage } : {}),
+        message: 'Image deleted successfully'
+    });
 };
 
 /**
  * Express route handler for listing images
  * Now fetches from MongoDB instead of Firebase Storage
+ * Query: folder, q (file name, alt text, caption), tag, page, limit
+ * Usage and delete links are only included when req.includePrivate is set (editors)
  */
 export const handleImagesList = async (req, res) => {
-    try {
-        const folder = req.query.folder || null;
-        
-        // Get images from MongoDB if portfolioAPI is available
-        if (req.portfolioAPI) {
-            const images = await req.portfolioAPI.getAllImages(folder);
-            
-            res.json({
-                success: true,
-                folder: folder || 'all',
-                count: images.length,
-                images: images
-            });
-        } else {
-            // Fallback response if portfolioAPI is not available
-            res.json({
-                success: true,
-                message: 'Image listing requires MongoDB connection',
-                images: [],
-                count: 0
-            });
-        }
+    const param = (name) => (typeof req.query[name] === 'string' && req.query[name] ? req.query[name] : null);
+    const folder = param('folder');
+    
+    // Get images from MongoDB if portfolioAPI is available
+    if (req.portfolioAPI) {
+        const result = await req.portfolioAPI.getAllImages({
+            folder,
+            q: param('q'),
+            tag: param('tag'),
+            page: Math.max(parseInt(req.query.page) || 1, 1),
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+        });
+        const images = req.includePrivate
+            ? result.images
+            : result.images.map(({ usage, deleteUrl, ...image }) => image);
         
-    } catch (error) {
-        console.error('List error:', error);
-        res.status(500).json({ 
-            error: error.message || 'Failed to list images' 
+        res.json({
+            success: true,
+            folder: folder || 'all',
+            count: images.length,
+            images: images,
+            page: result.page,
+            limit: result.limit,
+            total: result.total,
+            totalPages: result.totalPages
+        });
+    } else {
+        // Fallback response if portfolioAPI is not available
+        res.json({
+            success: true,
+            message: 'Image listing requires MongoDB connection',
+            images: [],
+            count: 0
         });
     }
 };
-
@@ -1,25 +1,69 @@
+import { ROLES, normalizeRole } from './roles.js';
+import { NotFoundError, ValidationError, ForbiddenError, wrapError } from './errors.js';
+
+// Profile fields everyone may see, the rest is for admins only
+const PUBLIC_FIELDS = ['uid', 'displayName', 'photoURL', 'role', 'firstSeenAt'];
+
+const toPublicProfile = (user) => {
+    const profile = {};
+    PUBLIC_FIELDS.forEach(field => {
+        if (user[field] !== undefined) {
+            profile[field] = user[field];
+        }
+    });
+    return profile;
+};
+
 export class UsersAPI {
     constructor(db) {
         this.db = db;
     }
 
-    async getAllUsers() {
+    async getAllUsers({ includePrivate = false } = {}) {
         try {
-            const users = await this.db.collection('users').find().toArray();
-            return users;
+            const users = await this.db.collection('users').find().sort({ firstSeenAt: 1 }).toArray();
+            return includePrivate ? users : users.map(toPublicProfile);
         } catch (error) {
             console.error('Error fetching users:', error);
-            throw new Error('Failed to fetch users');
+            throw wrapError(error, 'Failed to fetch users');
         }
     }
 
-    async getUserByUid(uid) {
+    async getUserByUid(uid, { includePrivate = false } = {}) {
         try {
             const user = await this.db.collection('users').findOne({ uid });
-            return user;
+            if (!user) {
+                throw new NotFoundError('User not found');
+            }
+            return includePrivate ? user : toPublicProfile(user);
         } catch (error) {
             console.error('Error fetching user:', error);
-            throw new Error('Failed to fetch user');
+            throw wrapError(error, 'Failed to fetch user');
+        }
+    }
+
+    // Create or refresh the user record of a verified token
+    async provisionUser(tokenUser) {
+        try {
+            const now = new Date();
+            const user = await this.db.collection('users').findOneAndUpdate(
+                { uid: tokenUser.uid },
+                {
+                    $set: {
+                        email: tokenUser.email || null,
+                        displayName: tokenUser.name || null,
+                        photoURL: tokenUser.picture || null,
+                        provider: tokenUser.provider || tokenUser.firebase?.sign_in_provider || null,
+                        lastSeenAt: now,
+                    },
+                    $setOnInsert: { uid: tokenUser.uid, firstSeenAt: now },
+                },
+                { returnDocument: 'after', upsert: true }
+            );
+            return user;
+        } catch (error) {
+            console.error('Error provisioning user:', error);
+            throw wrapError(error, 'Failed to provision user');
         }
     }
 
@@ -29,16 +73,78 @@ export class UsersAPI {
             return newUser;
         } catch (error) {
             console.error('Error adding user:', error);
-            throw new Error('Failed to add user');
+            throw wrapError(error, 'Failed to add user');
         }
     }
 
-    async initializeUsers() {
+    // Resolve the role of a verified token. The owner in the `me`
+    // collection is recognised by uid or verified email until a role is stored.
+    async resolveRole(tokenUser, user = null) {
         try {
-            const users = await this.db.collection('users').countDocuments();
-            if (users === 0) {
-                await this.db.collection('users').insertMany([{}]);
+            if (!user) {
+                user = await this.db.collection('users').findOne({ uid: tokenUser.uid });
+            }
+            if (user?.role) {
+                return normalizeRole(user.role);
+            }
+
+            const owner = await this.db.collection('me').findOne({ role: { $in: ['admin', 'owner'] } });
+            if (!owner) {
+                return 'visitor';
             }
+            if (owner.uid === tokenUser.uid) {
+                return normalizeRole(owner.role);
+            }
+            if (tokenUser.email_verified && owner.email && owner.email === tokenUser.email) {
+                // Link the owner profile to the Firebase account so /api/me resolves it
+                await this.db.collection('me').updateOne({ _id: owner._id }, { $set: { uid: tokenUser.uid } });
+                return normalizeRole(owner.role);
+            }
+            return 'visitor';
+        } catch (error) {
+            console.error('Error resolving user role:', error);
+            throw wrapError(error, 'Failed to resolve user role');
+        }
+    }
+
+    /**
+     * Change the role of an existing user
+     * @param {String} uid - User to change
+     * @param {String} role - One of ROLES
+     * @param {Object} actor - Verified token user making the change
+     */
+    async setUserRole(uid, role, actor = null) {
+        if (!ROLES.includes(role)) {
+            throw new ValidationError(`Invalid role. Allowed: ${ROLES.join(', ')}`, [{ field: 'role', message: `must be one of: ${ROLES.join(', ')}` }]);
+        }
+        // The stored role wins over the owner profile, so a demoted owner could not get back in
+        if (actor?.uid === uid && role !== 'owner') {
+            throw new ForbiddenError('The owner cannot change their own role', { code: 'OWNER_SELF_DEMOTION' });
+        }
+        let updatedUser;
+        try {
+            // Records only come from sign-ins, an unknown uid is most likely a typo
+            updatedUser = await this.db.collection('users').findOneAndUpdate(
+                { uid },
+                { $set: { role, updatedAt: new Date() } },
+                { returnDocument: 'after' }
+            );
+        } catch (error) {
+            console.error('Error setting user role:', error);
+            throw wrapError(error, 'Failed to set user role');
+        }
+        if (!updatedUser) {
+            throw new NotFoundError('User not found');
+        }
+        return updatedUser;
+    }
+
+    async initializeUsers() {
+        try {
+            const users = this.db.collection('users');
+            // Records are created on first sign-in, drop the old empty placeholder
+            await users.deleteMany({ uid: { $exists: false } });
+            await users.createIndex({ uid: 1 }, { unique: true });
         } catch (error) {
             console.error('Error initializing users:', error);
             throw error;
@@ -0,0 +1,273 @@
+/**
+ * Declarative request body validation
+ *
+ * A schema is { name, collection, fields } where each field is
+ * { type, required, maxLength, min, max, enum, format, items, maxItems, readOnly, bsonType }.
+ * Types: string, number, integer, boolean, date, array.
+ * Formats (strings only): url, email, phone, objectId, slug.
+ */
+import { ValidationError } from './errors.js';
+
+export { ValidationError };
+
+const FORMATS = {
+    email: {
+        test: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+        pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$',
+        message: 'must be a valid email address',
+    },
+    phone: {
+        test: (value) => /^\+?[0-9\s\-()]{7,20}$/.test(value),
+        pattern: '^\\+?[0-9\\s\\-()]{7,20}$',
+        message: 'must be a valid phone number',
+    },
+    url: {
+        test: (value) => {
+            try {
+                const url = new URL(value);
+                return url.protocol === 'http:' || url.protocol === 'https:';
+            } catch (error) {
+                return false;
+            }
+        },
+        pattern: '^https?://',
+        message: 'must be an http(s) URL',
+    },
+    objectId: {
+        test: (value) => /^[0-9a-fA-F]{24}$/.test(value),
+        message: 'must be a valid id',
+    },
+    slug: {
+        test: (value) => /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/.test(value),
+        pattern: '^[a-z0-9]+(?:[-_][a-z0-9]+)*$',
+        message: 'may only contain lowercase letters, digits, - and _',
+    },
+};
+
+// ISO 8601 date or date-time, e.g. 2024-05-01 or 2024-05-01T10:00:00.000Z
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d{1,9})?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const BSON_TYPES = {
+    string: 'string',
+    number: 'number',
+    integer: 'number',
+    boolean: 'bool',
+    date: 'date',
+    array: 'array',
+};
+
+
+// Check one value against its field definition.
+// Returns [error message or null, normalized value].
+const checkValue = (value, field) => {
+    switch (field.type) {
+        case 'string': {
+            if (typeof value !== 'string') {
+                return ['must be a string'];
+            }
+            const trimmed = value.trim();
+            if (field.maxLength && trimmed.length > field.maxLength) {
+                return [`must be at most ${field.maxLength} characters`];
+            }
+            if (field.enum && !field.enum.includes(trimmed)) {
+                return [`must be one of: ${field.enum.join(', ')}`];
+            }
+            if (field.format && !FORMATS[field.format].test(trimmed)) {
+                return [FORMATS[field.format].message];
+            }
+            return [null, trimmed];
+        }
+        case 'number':
+        case 'integer': {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return ['must be a number'];
+            }
+            if (field.type === 'integer' && !Number.isInteger(value)) {
+                return ['must be an integer'];
+            }
+            if (field.min !== undefined && value < field.min) {
+                return [`must be at least ${field.min}`];
+            }
+            if (field.max !== undefined && value > field.max) {
+                return [`must be at most ${field.max}`];
+            }
+            return [null, value];
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? [null, value] : ['must be true or false'];
+        case 'date': {
+            // Date() alone also parses strings like "1" (2001-01-01)
+            if (typeof value === 'string' ? !ISO_DATE.test(value.trim()) : !(value instanceof Date)) {
+                return ['must be an ISO 8601 date'];
+            }
+            const date = new Date(typeof value === 'string' ? value.trim() : value);
+            if (Number.isNaN(date.getTime())) {
+                return ['must be an ISO 8601 date'];
+            }
+            return [null, date];
+        }
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return ['must be an array'];
+            }
+            if (field.maxItems && value.length > field.maxItems) {
+                return [`must have at most ${field.maxItems} items`];
+            }
+            const items = [];
+            for (let i = 0; i < value.length; i++) {
+                const [message, item] = checkValue(value[i], field.items);
+                if (message) {
+                    return [`item ${i} ${message}`];
+                }
+                items.push(item);
+            }
+            return [null, items];
+        }
+        default:
+            throw new Error(`Unknown field type: ${field.type}`);
+    }
+};
+
+/**
+ * Validate a request body against a schema
+ * @param {Object} schema - Schema definition
+ * @param {Object} data - Request body
+ * @param {Object} options - { partial: true } skips required checks (for updates)
+ * @returns {Object} - Normalized body without read-only fields
+ * @throws {ValidationError} - Lists every failing field
+ */
+export const validate = (schema, data, { partial = false } = {}) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new ValidationError('Validation failed', [{ field: 'body', message: 'must be a JSON object' }]);
+    }
+
+    const errors = [];
+    const result = {};
+
+    Object.entries(data).forEach(([key, value]) => {
+        const field = schema.fields[key];
+        if (!field) {
+            errors.push({ field: key, message: 'is not an allowed field' });
+            return;
+        }
+        // Server-managed fields that clients may echo back are dropped
+        if (field.readOnly) {
+            return;
+        }
+        if (value === null || value === '') {
+            if (field.required) {
+                errors.push({ field: key, message: 'is required' });
+            } else {
+                result[key] = null;
+            }
+            return;
+        }
+        const [message, normalized] = checkValue(value, field);
+        if (message) {
+            errors.push({ field: key, message });
+        } else {
+            result[key] = normalized;
+        }
+    });
+
+    if (!partial) {
+        Object.entries(schema.fields).forEach(([key, field]) => {
+            if (field.required && data[key] === undefined) {
+                errors.push({ field: key, message: 'is required' });
+            }
+        });
+    }
+
+    if (errors.length > 0) {
+        throw new ValidationError('Validation failed', errors);
+    }
+    return result;
+};
+
+/**
+ * Express middleware that validates and normalizes req.body
+ * @param {Object} schema - Schema definition
+ * @param {Object} options - Passed to validate()
+ */
+export const validateBody = (schema, options = {}) => {
+    return (req, res, next) => {
+        try {
+            req.body = validate(schema, req.body, options);
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+// Convert one field definition to a MongoDB $jsonSchema property
+const toJsonSchemaProperty = (field) => {
+    const property = { bsonType: field.bsonType || BSON_TYPES[field.type] };
+    if (field.type === 'string') {
+        if (field.maxLength) property.maxLength = field.maxLength;
+        if (field.enum) property.enum = field.enum;
+        if (field.format && FORMATS[field.format].pattern) property.pattern = FORMATS[field.format].pattern;
+    }
+    if (field.type === 'number' || field.type === 'integer') {
+        if (field.min !== undefined) property.minimum = field.min;
+        if (field.max !== undefined) property.maximum = field.max;
+    }
+    if (field.type === 'array') {
+        if (field.maxItems) property.maxItems = field.maxItems;
+        property.items = toJsonSchemaProperty(field.items);
+    }
+    if (!field.required) {
+        property.bsonType = [].concat(property.bsonType, 'null');
+        // enum also has to allow the null value
+        if (property.enum) property.enum = [...property.enum, null];
+    }
+    return property;
+};
+
+/**
+ * Build a MongoDB $jsonSchema from a schema. Read-only fields are left out and
+ * other properties are allowed, so server-managed fields still validate.
+ */
+export const toJsonSchema = (schema) => {
+    const properties = {};
+    const required = [];
+    Object.entries(schema.fields).forEach(([key, field]) => {
+        if (field.readOnly) {
+            return;
+        }
+        properties[key] = toJsonSchemaProperty(field);
+        if (field.required) {
+            required.push(key);
+        }
+    });
+    return {
+        bsonType: 'object',
+        ...(required.length > 0 ? { required } : {}),
+        properties,
+    };
+};
+
+/**
+ * Install schemas as collection validators. Uses the 'moderate' level so
+ * documents written before a schema existed can still be updated.
+ * @param {Db} db - MongoDB database
+ * @param {Array} schemas - Schemas with a `collection` name
+ */
+export const applyCollectionValidators = async (db, schemas) => {
+    const existing = await db.listCollections({}, { nameOnly: true }).toArray();
+    const names = new Set(existing.map(collection => collection.name));
+
+    for (const schema of schemas) {
+        const options = {
+            validator: { $jsonSchema: toJsonSchema(schema) },
+            validationLevel: 'moderate',
+            validationAction: 'error',
+        };
+        if (names.has(schema.collection)) {
+            await db.command({ collMod: schema.collection, ...options });
+        } else {
+            await db.createCollection(schema.collection, options);
+        }
+    }
+    console.log('Collection validators applied');
+};
@@ -0,0 +1,111 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The provider is chosen when the module loads
+process.env.AUTH_PROVIDER = 'local';
+process.env.AUTH_JWT_SECRET = 'test-secret';
+const { createAuth, getAuthProvider } = await import('../../src/auth/index.js');
+const { UnauthorizedError } = await import('../../src/errors.js');
+
+const createRequest = (headers = {}) => {
+    const lowercased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { get: (name) => lowercased[name.toLowerCase()] };
+};
+
+const createResponse = () => ({
+    headers: {},
+    set(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+});
+
+// Run a middleware and resolve with what it passed to next()
+const run = (middleware, req, res = createResponse()) => new Promise((resolve) => {
+    middleware(req, res, (error) => resolve({ error, req, res }));
+});
+
+const loadUser = async (decoded) => ({ uid: decoded.uid, role: 'viewer' });
+
+describe('auth middleware', () => {
+    let token;
+    let logged = [];
+
+    before(() => {
+        ({ token } = getAuthProvider().issueToken({ uid: 'local:1', email: 'owner@example.com' }));
+        console.error = (...args) => logged.push(args);
+    });
+
+    describe('requireAuth', () => {
+        const { requireAuth } = createAuth(loadUser);
+
+        it('loads the user of a Bearer token', async () => {
+            const { error, req } = await run(requireAuth, createRequest({ Authorization: `Bearer ${token}` }));
+
+            assert.equal(error, undefined);
+            assert.deepEqual(req.user, { uid: 'local:1', role: 'viewer' });
+        });
+
+        it('accepts the older authtoken header', async () => {
+            const { error, req } = await run(requireAuth, createRequest({ authtoken: token }));
+
+            assert.equal(error, undefined);
+            assert.equal(req.user.uid, 'local:1');
+        });
+
+        it('answers 401 with the reason', async () => {
+            const cases = [
+                [{}, 'TOKEN_MISSING', 'Bearer'],
+                [{ Authorization: `Basic ${token}` }, 'TOKEN_MALFORMED', 'Bearer error="invalid_token"'],
+                [{ Authorization: `Bearer ${token} extra` }, 'TOKEN_MALFORMED', 'Bearer error="invalid_token"'],
+                [{ Authorization: `Bearer ${token}x` }, 'TOKEN_INVALID', 'Bearer error="invalid_token"'],
+            ];
+            for (const [headers, code, challenge] of cases) {
+                const { error, res } = await run(requireAuth, createRequest(headers));
+                assert.ok(error instanceof UnauthorizedError, code);
+                assert.equal(error.code, code);
+                assert.equal(res.headers['WWW-Authenticate'], challenge);
+            }
+        });
+
+        it('passes on the errors of loading the user', async () => {
+            const { requireAuth: requireActive } = createAuth(async () => {
+                throw new UnauthorizedError('User disabled', { code: 'USER_DISABLED' });
+            });
+            const { error } = await run(requireActive, createRequest({ Authorization: `Bearer ${token}` }));
+
+            assert.equal(error.code, 'USER_DISABLED');
+        });
+    });
+
+    describe('optionalAuth', () => {
+        const { optionalAuth } = createAuth(loadUser);
+
+        it('loads the user of a valid token', async () => {
+            const { error, req } = await run(optionalAuth, createRequest({ Authorization: `Bearer ${token}` }));
+
+            assert.equal(error, undefined);
+            assert.equal(req.user.uid, 'local:1');
+        });
+
+        it('treats missing and unusable tokens as anonymous', async () => {
+            for (const headers of [{}, { Authorization: 'Basic abc' }, { Authorization: 'Bearer nope' }]) {
+                const { error, req } = await run(optionalAuth, createRequest(headers));
+                assert.equal(error, undefined);
+                assert.equal(req.user, null);
+            }
+        });
+
+        it('logs unexpected failures and continues anonymously', async () => {
+            logged = [];
+            const { optionalAuth: failing } = createAuth(async () => {
+                throw new Error('database down');
+            });
+            const { error, req } = await run(failing, createRequest({ Authorization: `Bearer ${token}` }));
+
+            assert.equal(error, undefined);
+            assert.equal(req.user, null);
+            assert.equal(logged.length, 1);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalAuthProvider } from '../../src/auth/local.js';
+import { UnauthorizedError } from '../../src/errors.js';
+
+const account = { uid: 'local:1', email: 'owner@example.com', name: 'Owner' };
+
+// Replace one part of a token
+const withPart = (token, index, value) => {
+    const parts = token.split('.');
+    parts[index] = value;
+    return parts.join('.');
+};
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (error) => {
+    assert.ok(error instanceof UnauthorizedError);
+    assert.equal(error.code, code);
+    return true;
+});
+
+describe('local auth provider', () => {
+    let provider;
+
+    before(() => {
+        process.env.AUTH_JWT_SECRET = 'test-secret';
+        provider = createLocalAuthProvider();
+    });
+
+    it('verifies the tokens it issues', async () => {
+        const { token, expiresAt } = provider.issueToken(account);
+        assert.ok(expiresAt > new Date());
+        const decoded = await provider.verifyToken(token);
+        assert.equal(decoded.uid, 'local:1');
+        assert.equal(decoded.email, 'owner@example.com');
+        assert.equal(decoded.email_verified, true);
+        assert.equal(decoded.name, 'Owner');
+        assert.equal(decoded.provider, 'local');
+        assert.equal(decoded.exp * 1000, expiresAt.getTime());
+    });
+
+    it('rejects tokens signed with another secret', async () => {
+        process.env.AUTH_JWT_SECRET = 'other-secret';
+        const other = createLocalAuthProvider();
+        process.env.AUTH_JWT_SECRET = 'test-secret';
+        await rejectsWith(provider.verifyToken(other.issueToken(account).token), 'TOKEN_INVALID');
+    });
+
+    it('rejects tampered claims', async () => {
+        const { token } = provider.issueToken(account);
+        const claims = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+        await rejectsWith(provider.verifyToken(withPart(token, 1, encode({ ...claims, sub: 'local:2' }))), 'TOKEN_INVALID');
+    });
+
+    it('rejects other algorithms and malformed tokens', async () => {
+        const { token } = provider.issueToken(account);
+        await rejectsWith(provider.verifyToken(withPart(token, 0, encode({ alg: 'none', typ: 'JWT' }))), 'TOKEN_INVALID');
+        await rejectsWith(provider.verifyToken(withPart(token, 2, '')), 'TOKEN_INVALID');
+        await rejectsWith(provider.verifyToken('not-a-token'), 'TOKEN_INVALID');
+    });
+
+    it('rejects expired tokens', async (t) => {
+        const { token, expiresAt } = provider.issueToken(account);
+        t.mock.method(Date, 'now', () => expiresAt.getTime() + 1000);
+        await rejectsWith(provider.verifyToken(token), 'TOKEN_EXPIRED');
+    });
+
+    it('requires a secret in production', () => {
+        const { AUTH_JWT_SECRET, NODE_ENV } = process.env;
+        delete process.env.AUTH_JWT_SECRET;
+        process.env.NODE_ENV = 'production';
+        try {
+            assert.throws(() => createLocalAuthProvider(), /AUTH_JWT_SECRET is required/);
+        } finally {
+            process.env.AUTH_JWT_SECRET = AUTH_JWT_SECRET;
+            if (NODE_ENV === undefined) {
+                delete process.env.NODE_ENV;
+            } else {
+                process.env.NODE_ENV = NODE_ENV;
+            }
+        }
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CommentsAPI } from '../src/comments.js';
+import { createDb } from './helpers/db.js';
+
+const author = { uid: 'reader-1', name: 'Reader' };
+
+describe('CommentsAPI', () => {
+    let db;
+    let commentsAPI;
+
+    before(() => {
+        console.error = () => {};
+        console.log = () => {};
+    });
+
+    beforeEach(async () => {
+        db = createDb();
+        commentsAPI = new CommentsAPI(db);
+        await db.collection('articles').insertMany([
+            { articleName: 'hello', status: 'published' },
+            { articleName: 'secret', status: 'draft' },
+        ]);
+    });
+
+    describe('addComment', () => {
+        it('stores a trimmed pending comment', async () => {
+            const comment = await commentsAPI.addComment('hello', { text: '  Nice post  ' }, author);
+
+            assert.equal(comment.text, 'Nice post');
+            assert.equal(comment.status, 'pending');
+            assert.equal(comment.parentId, null);
+            assert.equal(comment.uid, 'reader-1');
+            assert.equal(await db.collection('comments').countDocuments(), 1);
+        });
+
+        it('rejects missing authors, empty text and draft articles', async () => {
+            await assert.rejects(commentsAPI.addComment('hello', { text: 'Hi' }, null), { status: 401 });
+            await assert.rejects(commentsAPI.addComment('hello', { text: '   ' }, author), { status: 400 });
+            await assert.rejects(commentsAPI.addComment('hello', { text: 'x'.repeat(5001) }, author), { status: 400 });
+            await assert.rejects(commentsAPI.addComment('secret', { text: 'Hi' }, author), { status: 404 });
+        });
+
+        it('threads replies under the root comment', async () => {
+            const root = await commentsAPI.addComment('hello', { text: 'Root' }, author);
+            const reply = await commentsAPI.addComment('hello', { text: 'Reply', parentId: root._id.toString() }, author);
+            const nested = await commentsAPI.addComment('hello', { text: 'Nested', parentId: reply._id.toString() }, author);
+
+            assert.ok(reply.parentId.equals(root._id));
+            assert.ok(nested.parentId.equals(reply._id));
+            assert.ok(nested.rootId.equals(root._id));
+        });
+
+        it('rejects parents of another article', async () => {
+            await db.collection('articles').insertOne({ articleName: 'other', status: 'published' });
+            const root = await commentsAPI.addComment('other', { text: 'Root' }, author);
+            await assert.rejects(
+                commentsAPI.addComment('hello', { text: 'Reply', parentId: root._id.toString() }, author),
+                { status: 404, message: 'Parent comment not found' }
+            );
+        });
+    });
+
+    describe('getArticleComments', () => {
+        it('only lists approved comments with their approved replies', async () => {
+            const root = await commentsAPI.addComment('hello', { text: 'Root' }, author);
+            const reply = await commentsAPI.addComment('hello', { text: 'Reply', parentId: root._id.toString() }, author);
+            await commentsAPI.addComment('hello', { text: 'Hidden reply', parentId: root._id.toString() }, author);
+            await commentsAPI.addComment('hello', { text: 'Pending' }, author);
+            await commentsAPI.setCommentStatus(root._id.toString(), 'approved', 'editor-1');
+            await commentsAPI.setCommentStatus(reply._id.toString(), 'approved', 'editor-1');
+
+            const result = await commentsAPI.getArticleComments('hello');
+
+            assert.equal(result.total, 1);
+            assert.deepEqual(result.comments.map(comment => comment.text), ['Root']);
+            assert.deepEqual(result.comments[0].replies.map(comment => comment.text), ['Reply']);
+        });
+    });
+
+    describe('setCommentStatus', () => {
+        it('records the moderator', async () => {
+            const comment = await commentsAPI.addComment('hello', { text: 'Hi' }, author);
+            const moderated = await commentsAPI.setCommentStatus(comment._id.toString(), 'rejected', 'editor-1');
+
+            assert.equal(moderated.status, 'rejected');
+            assert.equal(moderated.moderatedBy, 'editor-1');
+        });
+
+        it('rejects unknown statuses and comments', async () => {
+            await assert.rejects(commentsAPI.setCommentStatus('0'.repeat(24), 'spam'), { status: 400 });
+            await assert.rejects(commentsAPI.setCommentStatus('0'.repeat(24), 'approved'), { status: 404 });
+            await assert.rejects(commentsAPI.setCommentStatus('not-an-id', 'approved'), { status: 404 });
+        });
+    });
+
+    describe('deleteComment', () => {
+        it('deletes the comment and every reply below it', async () => {
+            const root = await commentsAPI.addComment('hello', { text: 'Root' }, author);
+            const reply = await commentsAPI.addComment('hello', { text: 'Reply', parentId: root._id.toString() }, author);
+            await commentsAPI.addComment('hello', { text: 'Nested', parentId: reply._id.toString() }, author);
+            await commentsAPI.addComment('hello', { text: 'Other' }, author);
+
+            const result = await commentsAPI.deleteComment(root._id.toString());
+
+            assert.equal(result.deletedCount, 3);
+            assert.equal(await db.collection('comments').countDocuments(), 1);
+        });
+    });
+
+    describe('initializeComments', () => {
+        it('moves legacy comments out of articles as approved comments', async () => {
+            await db.collection('articles').insertOne({
+                articleName: 'legacy',
+                comments: [{ postedBy: 'Old reader', text: 'First!' }, 'Plain text'],
+            });
+            await commentsAPI.initializeComments();
+
+            const migrated = await commentsAPI.getArticleComments('legacy');
+            assert.deepEqual(migrated.comments.map(comment => comment.text).sort(), ['First!', 'Plain text']);
+            assert.equal((await db.collection('articles').findOne({ articleName: 'legacy' })).comments, undefined);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import multer from 'multer';
+import { toAppError, errorHandler } from '../src/errorHandler.js';
+import { AppError, NotFoundError, ValidationError } from '../src/errors.js';
+
+const createResponse = () => ({
+    headers: {},
+    headersSent: false,
+    set(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+});
+
+// Run the middleware for one error and return the response
+const handle = (error, res = createResponse()) => {
+    const req = { id: 'request-1', method: 'GET', originalUrl: '/api/test' };
+    let forwarded = null;
+    errorHandler()(error, req, res, (next) => {
+        forwarded = next;
+    });
+    return { res, forwarded };
+};
+
+describe('toAppError', () => {
+    it('keeps domain errors', () => {
+        const error = new NotFoundError('Portfolio not found');
+        assert.equal(toAppError(error), error);
+    });
+
+    it('maps body parser and multer errors', () => {
+        assert.equal(toAppError(Object.assign(new Error('Unexpected token'), { type: 'entity.parse.failed' })).code, 'INVALID_JSON');
+        assert.equal(toAppError(Object.assign(new Error('too large'), { type: 'entity.too.large' })).status, 413);
+        assert.equal(toAppError(new multer.MulterError('LIMIT_FILE_SIZE', 'image')).status, 413);
+        const unexpected = toAppError(new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'other'));
+        assert.equal(unexpected.status, 400);
+        assert.deepEqual(unexpected.fields, [{ field: 'other', message: unexpected.message }]);
+    });
+
+    it('hides unexpected errors behind a generic 500', () => {
+        const cause = new Error('connection string with a password');
+        const error = toAppError(cause);
+
+        assert.equal(error.status, 500);
+        assert.equal(error.code, 'INTERNAL_ERROR');
+        assert.equal(error.message, 'Internal server error');
+        assert.equal(error.cause, cause);
+    });
+});
+
+describe('errorHandler', () => {
+    let logged = [];
+
+    before(() => {
+        console.error = (...args) => logged.push(args);
+    });
+
+    it('answers with the envelope and its details', () => {
+        logged = [];
+        const { res } = handle(new ValidationError('Validation failed', [{ field: 'title', message: 'is required' }]));
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body, {
+            error: 'Validation failed',
+            code: 'VALIDATION_FAILED',
+            requestId: 'request-1',
+            fields: [{ field: 'title', message: 'is required' }],
+        });
+        assert.equal(logged.length, 0);
+    });
+
+    it('logs server errors with the request id without leaking them', () => {
+        logged = [];
+        const { res } = handle(new Error('secret internals'));
+
+        assert.equal(res.statusCode, 500);
+        assert.deepEqual(res.body, { error: 'Internal server error', code: 'INTERNAL_ERROR', requestId: 'request-1' });
+        assert.match(logged[0][0], /\[request-1\] GET \/api\/test failed/);
+    });
+
+    it('sets Retry-After on 503 and Upload-Offset when an offset is known', () => {
+        const { res: unavailable } = handle(new AppError('Storage unavailable', { status: 503, code: 'STORAGE_UNAVAILABLE' }));
+        assert.equal(unavailable.headers['Retry-After'], '30');
+
+        const { res: mismatch } = handle(new AppError('Offset mismatch', { status: 409, code: 'UPLOAD_OFFSET_MISMATCH', details: { offset: 0 } }));
+        assert.equal(mismatch.headers['Upload-Offset'], '0');
+        assert.equal(mismatch.body.offset, 0);
+    });
+
+    it('leaves responses that already started to Express', () => {
+        const res = createResponse();
+        res.headersSent = true;
+        const error = new NotFoundError();
+        const { forwarded } = handle(error, res);
+
+        assert.equal(forwarded, error);
+        assert.equal(res.body, undefined);
+    });
+});
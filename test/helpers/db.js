@@ -0,0 +1,568 @@
+/**
+ * In-memory stand-in for the parts of a MongoDB database the API uses, so
+ * database code can be tested without a server.
+ *
+ * Supports the query operators $or, $and, $nor, $eq, $ne, $in, $nin, $gt,
+ * $gte, $lt, $lte, $exists, $type, $not, $regex and $elemMatch, the update
+ * operators $set, $unset, $inc, $push, $pull, $addToSet and $setOnInsert,
+ * update pipelines of $set stages, unique indexes (with
+ * partialFilterExpression) and the aggregation stages $match, $sort, $group
+ * ($push, $sum), $skip and $limit. Text search is not supported.
+ */
+import { ObjectId } from 'mongodb';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+    && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof ObjectId) && !(value instanceof RegExp);
+
+const isOperatorObject = (value) => isPlainObject(value) && Object.keys(value).some(key => key.startsWith('$'));
+
+// Copies documents in and out so tests cannot change stored data by reference
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    return value;
+};
+
+const isEqual = (a, b) => {
+    if (a instanceof ObjectId || b instanceof ObjectId) return a instanceof ObjectId && b instanceof ObjectId && a.equals(b);
+    if (a instanceof Date || b instanceof Date) return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+    }
+    // A missing field equals null
+    return (a ?? null) === (b ?? null);
+};
+
+// BSON sort order of the types in use
+const typeRank = (value) => {
+    if (value === undefined || value === null) return 0;
+    if (typeof value === 'number') return 1;
+    if (typeof value === 'string') return 2;
+    if (isPlainObject(value)) return 3;
+    if (Array.isArray(value)) return 4;
+    if (value instanceof ObjectId) return 5;
+    if (typeof value === 'boolean') return 6;
+    if (value instanceof Date) return 7;
+    return 8;
+};
+
+const compare = (a, b) => {
+    const rank = typeRank(a) - typeRank(b);
+    if (rank !== 0) return rank;
+    if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+    if (a instanceof Date) return a.getTime() - b.getTime();
+    if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+    if (typeof a === 'number' || typeof a === 'boolean') return Number(a) - Number(b);
+    return 0;
+};
+
+// Values a dotted path reaches, walking into arrays like MongoDB does
+const getValues = (value, path) => {
+    const [head, ...rest] = path.split('.');
+    if (Array.isArray(value) && !/^\d+$/.test(head)) {
+        return value.flatMap(item => (isPlainObject(item) ? getValues(item, path) : []));
+    }
+    const next = value === null || value === undefined ? undefined : value[head];
+    if (rest.length === 0) {
+        return [next];
+    }
+    return getValues(next, rest.join('.'));
+};
+
+// A field matches when it or one of its array elements does
+const candidates = (values) => values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+
+const TYPES = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number',
+    int: value => Number.isInteger(value),
+    double: value => typeof value === 'number',
+    bool: value => typeof value === 'boolean',
+    date: value => value instanceof Date,
+    objectId: value => value instanceof ObjectId,
+    array: value => Array.isArray(value),
+    object: value => isPlainObject(value),
+    null: value => value === null,
+};
+
+const matchOperators = (values, condition) => Object.entries(condition).every(([operator, operand]) => {
+    const all = candidates(values);
+    switch (operator) {
+        case '$eq':
+            return all.some(value => isEqual(value, operand));
+        case '$ne':
+            return !all.some(value => isEqual(value, operand));
+        case '$in':
+            return operand.some(expected => matchValue(values, expected));
+        case '$nin':
+            return !operand.some(expected => matchValue(values, expected));
+        case '$gt':
+            return all.some(value => value !== undefined && typeRank(value) === typeRank(operand) && compare(value, operand) > 0);
+        case '$gte':
+            return all.some(value => value !== undefined && typeRank(value) === typeRank(operand) && compare(value, operand) >= 0);
+        case '$lt':
+            return all.some(value => value !== undefined && typeRank(value) === typeRank(operand) && compare(value, operand) < 0);
+        case '$lte':
+            return all.some(value => value !== undefined && typeRank(value) === typeRank(operand) && compare(value, operand) <= 0);
+        case '$exists':
+            return values.some(value => value !== undefined) === Boolean(operand);
+        case '$type':
+            return all.some(value => value !== undefined && TYPES[operand]?.(value));
+        case '$not':
+            return !matchValue(values, operand);
+        case '$regex': {
+            const pattern = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+            return all.some(value => typeof value === 'string' && pattern.test(value));
+        }
+        case '$options':
+            return true;
+        case '$elemMatch':
+            return values.some(value => Array.isArray(value) && value.some(item => (
+                isPlainObject(item) && !isOperatorObject(operand) ? matches(item, operand) : matchValue([item], operand)
+            )));
+        default:
+            throw new Error(`Unsupported query operator in test database: ${operator}`);
+    }
+});
+
+const matchValue = (values, condition) => {
+    if (condition instanceof RegExp) {
+        return candidates(values).some(value => typeof value === 'string' && condition.test(value));
+    }
+    if (isOperatorObject(condition)) {
+        return matchOperators(values, condition);
+    }
+    return candidates(values).some(value => isEqual(value, condition));
+};
+
+/**
+ * Whether a document matches a query
+ * @param {Object} doc - Stored document
+ * @param {Object} query - MongoDB query
+ * @returns {Boolean}
+ */
+export const matches = (doc, query = {}) => Object.entries(query).every(([key, condition]) => {
+    switch (key) {
+        case '$or':
+            return condition.some(part => matches(doc, part));
+        case '$and':
+            return condition.every(part => matches(doc, part));
+        case '$nor':
+            return !condition.some(part => matches(doc, part));
+        case '$text':
+            throw new Error('Text search is not supported by the test database');
+        default:
+            return matchValue(getValues(doc, key), condition);
+    }
+});
+
+// Parent object and last key of a dotted path, creating the objects on the way
+const resolvePath = (doc, path) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    let target = doc;
+    for (const key of keys) {
+        if (target[key] === null || typeof target[key] !== 'object') {
+            target[key] = {};
+        }
+        target = target[key];
+    }
+    return [target, last];
+};
+
+const applyUpdate = (doc, update, { inserting = false } = {}) => {
+    // Update pipelines: $set stages whose values may be $field paths
+    if (Array.isArray(update)) {
+        for (const stage of update) {
+            const [[name, fields]] = Object.entries(stage);
+            if (name !== '$set') {
+                throw new Error(`Unsupported update pipeline stage in test database: ${name}`);
+            }
+            const values = Object.entries(fields).map(([path, expression]) => [path, clone(evaluate(doc, expression))]);
+            values.forEach(([path, value]) => {
+                const [target, key] = resolvePath(doc, path);
+                target[key] = value;
+            });
+        }
+        return doc;
+    }
+    for (const [operator, fields] of Object.entries(update)) {
+        for (const [path, operand] of Object.entries(fields)) {
+            const [target, key] = resolvePath(doc, path);
+            switch (operator) {
+                case '$set':
+                    target[key] = clone(operand);
+                    break;
+                case '$setOnInsert':
+                    if (inserting) {
+                        target[key] = clone(operand);
+                    }
+                    break;
+                case '$unset':
+                    delete target[key];
+                    break;
+                case '$inc':
+                    target[key] = (target[key] ?? 0) + operand;
+                    break;
+                case '$push': {
+                    const items = isPlainObject(operand) && '$each' in operand ? operand.$each : [operand];
+                    target[key] = [...(target[key] || []), ...items.map(clone)];
+                    break;
+                }
+                case '$addToSet': {
+                    const items = isPlainObject(operand) && '$each' in operand ? operand.$each : [operand];
+                    target[key] = [...(target[key] || [])];
+                    items.filter(item => !target[key].some(existing => isEqual(existing, item)))
+                        .forEach(item => target[key].push(clone(item)));
+                    break;
+                }
+                case '$pull':
+                    if (Array.isArray(target[key])) {
+                        target[key] = target[key].filter(item => (
+                            isPlainObject(item) && isPlainObject(operand) && !isOperatorObject(operand)
+                                ? !matches(item, operand)
+                                : !matchValue([item], operand)
+                        ));
+                    }
+                    break;
+                default:
+                    throw new Error(`Unsupported update operator in test database: ${operator}`);
+            }
+        }
+    }
+    return doc;
+};
+
+// Equality fields of a query, the starting point of an upserted document
+const upsertBase = (query) => {
+    const doc = {};
+    for (const [path, condition] of Object.entries(query)) {
+        if (path.startsWith('$')) {
+            if (path === '$and') {
+                condition.forEach(part => Object.assign(doc, upsertBase(part)));
+            }
+            continue;
+        }
+        if (isOperatorObject(condition)) {
+            if ('$eq' in condition) {
+                const [target, key] = resolvePath(doc, path);
+                target[key] = clone(condition.$eq);
+            }
+            continue;
+        }
+        const [target, key] = resolvePath(doc, path);
+        target[key] = clone(condition);
+    }
+    return doc;
+};
+
+const sortDocuments = (docs, sort = {}) => {
+    const keys = (Array.isArray(sort) ? sort : Object.entries(sort)).filter(([, direction]) => typeof direction === 'number');
+    if (keys.length === 0) return docs;
+    return [...docs].sort((a, b) => {
+        for (const [path, direction] of keys) {
+            const result = compare(getValues(a, path)[0], getValues(b, path)[0]);
+            if (result !== 0) return result * direction;
+        }
+        return 0;
+    });
+};
+
+const project = (doc, projection) => {
+    const fields = Object.entries(projection || {}).filter(([, value]) => typeof value === 'number' || typeof value === 'boolean');
+    if (fields.length === 0) return doc;
+    const including = fields.some(([, value]) => value);
+    if (!including) {
+        const result = clone(doc);
+        fields.forEach(([path]) => {
+            const [target, key] = resolvePath(result, path);
+            delete target[key];
+        });
+        return result;
+    }
+    const result = {};
+    if (projection._id !== 0 && projection._id !== false) {
+        result._id = doc._id;
+    }
+    fields.filter(([path, value]) => path !== '_id' && value).forEach(([path]) => {
+        const [value] = getValues(doc, path);
+        if (value !== undefined) {
+            const [target, key] = resolvePath(result, path);
+            target[key] = clone(value);
+        }
+    });
+    return result;
+};
+
+class FakeCursor {
+    constructor(load, { projection, sort, skip, limit } = {}) {
+        this.load = load;
+        this.options = { projection, sort, skip, limit };
+    }
+
+    project(projection) {
+        this.options.projection = projection;
+        return this;
+    }
+
+    sort(sort) {
+        this.options.sort = sort;
+        return this;
+    }
+
+    skip(skip) {
+        this.options.skip = skip;
+        return this;
+    }
+
+    limit(limit) {
+        this.options.limit = limit;
+        return this;
+    }
+
+    async toArray() {
+        const { projection, sort, skip = 0, limit = 0 } = this.options;
+        const docs = sortDocuments(this.load(), sort).slice(skip);
+        return (limit > 0 ? docs.slice(0, limit) : docs).map(doc => clone(project(doc, projection)));
+    }
+
+    async *[Symbol.asyncIterator]() {
+        yield* await this.toArray();
+    }
+}
+
+const duplicateKeyError = (name, keyValue) => Object.assign(
+    new Error(`E11000 duplicate key error index: ${name} dup key: ${JSON.stringify(keyValue)}`),
+    { name: 'MongoServerError', code: 11000, keyValue }
+);
+
+export class FakeCollection {
+    constructor(name) {
+        this.collectionName = name;
+        this.docs = [];
+        this.indexes = [];
+    }
+
+    find(query = {}, options = {}) {
+        return new FakeCursor(() => this.docs.filter(doc => matches(doc, query)), options);
+    }
+
+    async findOne(query = {}, options = {}) {
+        const [doc] = await this.find(query, { ...options, limit: 1 }).toArray();
+        return doc ?? null;
+    }
+
+    async countDocuments(query = {}) {
+        return this.docs.filter(doc => matches(doc, query)).length;
+    }
+
+    async createIndex(keys, options = {}) {
+        const name = options.name || Object.entries(keys).map(([key, value]) => `${key}_${value}`).join('_');
+        if (options.unique && !this.indexes.some(index => index.name === name)) {
+            this.indexes.push({ name, fields: Object.keys(keys), partial: options.partialFilterExpression });
+        }
+        return name;
+    }
+
+    // Throw like MongoDB when a unique index would hold a value twice
+    checkUnique(candidate, ignore = null) {
+        for (const index of this.indexes) {
+            if (index.partial && !matches(candidate, index.partial)) continue;
+            const keyValue = Object.fromEntries(index.fields.map(field => [field, getValues(candidate, field)[0] ?? null]));
+            const taken = this.docs.some(doc => doc !== ignore
+                && (!index.partial || matches(doc, index.partial))
+                && index.fields.every(field => isEqual(getValues(doc, field)[0], keyValue[field])));
+            if (taken) {
+                throw duplicateKeyError(index.name, keyValue);
+            }
+        }
+    }
+
+    async insertOne(doc) {
+        const stored = clone(doc);
+        stored._id ??= new ObjectId();
+        if (this.docs.some(existing => isEqual(existing._id, stored._id))) {
+            throw duplicateKeyError('_id_', { _id: stored._id });
+        }
+        this.checkUnique(stored);
+        this.docs.push(stored);
+        doc._id ??= stored._id;
+        return { acknowledged: true, insertedId: stored._id };
+    }
+
+    async insertMany(docs) {
+        const insertedIds = {};
+        for (const [index, doc] of docs.entries()) {
+            insertedIds[index] = (await this.insertOne(doc)).insertedId;
+        }
+        return { acknowledged: true, insertedCount: docs.length, insertedIds };
+    }
+
+    // Apply an update to a copy, so a failed unique check leaves the document as it was
+    replaceWithUpdate(doc, update) {
+        const updated = applyUpdate(clone(doc), update);
+        this.checkUnique(updated, doc);
+        const changed = !isEqual(updated, doc);
+        this.docs[this.docs.indexOf(doc)] = updated;
+        return { updated, changed };
+    }
+
+    async upsert(query, update) {
+        const doc = applyUpdate(upsertBase(query), update, { inserting: true });
+        const { insertedId } = await this.insertOne(doc);
+        return this.docs.find(stored => isEqual(stored._id, insertedId));
+    }
+
+    async updateOne(query, update, { upsert = false, sort } = {}) {
+        const [doc] = sortDocuments(this.docs.filter(stored => matches(stored, query)), sort);
+        if (!doc) {
+            if (upsert) {
+                const inserted = await this.upsert(query, update);
+                return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+            }
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+        }
+        const { changed } = this.replaceWithUpdate(doc, update);
+        return { acknowledged: true, matchedCount: 1, modifiedCount: changed ? 1 : 0, upsertedCount: 0, upsertedId: null };
+    }
+
+    async updateMany(query, update, { upsert = false } = {}) {
+        const docs = this.docs.filter(stored => matches(stored, query));
+        if (docs.length === 0 && upsert) {
+            return this.updateOne(query, update, { upsert });
+        }
+        let modifiedCount = 0;
+        for (const doc of docs) {
+            modifiedCount += this.replaceWithUpdate(doc, update).changed ? 1 : 0;
+        }
+        return { acknowledged: true, matchedCount: docs.length, modifiedCount, upsertedCount: 0, upsertedId: null };
+    }
+
+    async findOneAndUpdate(query, update, { upsert = false, sort, projection, returnDocument = 'before' } = {}) {
+        const [doc] = sortDocuments(this.docs.filter(stored => matches(stored, query)), sort);
+        if (!doc) {
+            if (!upsert) return null;
+            const inserted = await this.upsert(query, update);
+            return returnDocument === 'after' ? clone(project(inserted, projection)) : null;
+        }
+        const { updated } = this.replaceWithUpdate(doc, update);
+        return clone(project(returnDocument === 'after' ? updated : doc, projection));
+    }
+
+    async findOneAndDelete(query, { sort, projection } = {}) {
+        const [doc] = sortDocuments(this.docs.filter(stored => matches(stored, query)), sort);
+        if (!doc) return null;
+        this.docs.splice(this.docs.indexOf(doc), 1);
+        return clone(project(doc, projection));
+    }
+
+    async deleteOne(query = {}) {
+        const doc = this.docs.find(stored => matches(stored, query));
+        if (doc) {
+            this.docs.splice(this.docs.indexOf(doc), 1);
+        }
+        return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    }
+
+    async deleteMany(query = {}) {
+        const before = this.docs.length;
+        this.docs = this.docs.filter(doc => !matches(doc, query));
+        return { acknowledged: true, deletedCount: before - this.docs.length };
+    }
+
+    async bulkWrite(operations) {
+        const result = { matchedCount: 0, modifiedCount: 0, insertedCount: 0, deletedCount: 0, upsertedCount: 0 };
+        for (const operation of operations) {
+            const [[type, options]] = Object.entries(operation);
+            if (type === 'insertOne') {
+                await this.insertOne(options.document);
+                result.insertedCount++;
+            } else if (type === 'updateOne' || type === 'updateMany') {
+                const updated = await this[type](options.filter, options.update, { upsert: options.upsert });
+                result.matchedCount += updated.matchedCount;
+                result.modifiedCount += updated.modifiedCount;
+                result.upsertedCount += updated.upsertedCount;
+            } else if (type === 'deleteOne' || type === 'deleteMany') {
+                result.deletedCount += (await this[type](options.filter)).deletedCount;
+            } else {
+                throw new Error(`Unsupported bulk operation in test database: ${type}`);
+            }
+        }
+        return result;
+    }
+
+    aggregate(pipeline) {
+        return new FakeCursor(() => pipeline.reduce((docs, stage) => {
+            const [[name, spec]] = Object.entries(stage);
+            switch (name) {
+                case '$match':
+                    return docs.filter(doc => matches(doc, spec));
+                case '$sort':
+                    return sortDocuments(docs, spec);
+                case '$skip':
+                    return docs.slice(spec);
+                case '$limit':
+                    return docs.slice(0, spec);
+                case '$group':
+                    return group(docs, spec);
+                default:
+                    throw new Error(`Unsupported aggregation stage in test database: ${name}`);
+            }
+        }, this.docs));
+    }
+}
+
+// Value of an aggregation expression: a $field path or a literal
+const evaluate = (doc, expression) => (
+    typeof expression === 'string' && expression.startsWith('$') ? getValues(doc, expression.slice(1))[0] : expression
+);
+
+const group = (docs, { _id: key, ...accumulators }) => {
+    const groups = new Map();
+    for (const doc of docs) {
+        const id = evaluate(doc, key);
+        const groupKey = id instanceof ObjectId ? id.toHexString() : JSON.stringify(id ?? null);
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, { _id: id ?? null, docs: [] });
+        }
+        groups.get(groupKey).docs.push(doc);
+    }
+    return [...groups.values()].map(({ _id, docs: members }) => ({
+        _id,
+        ...Object.fromEntries(Object.entries(accumulators).map(([field, accumulator]) => {
+            const [[operator, expression]] = Object.entries(accumulator);
+            const values = members.map(doc => evaluate(doc, expression));
+            if (operator === '$push') return [field, values];
+            if (operator === '$sum') return [field, values.reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0)];
+            throw new Error(`Unsupported accumulator in test database: ${operator}`);
+        })),
+    }));
+};
+
+/**
+ * Create an empty in-memory database
+ * @returns {Object} - db with collection(name), and client sessions whose
+ *   transactions run the callback without isolation
+ */
+export const createDb = () => {
+    const collections = new Map();
+    return {
+        collection(name) {
+            if (!collections.has(name)) {
+                collections.set(name, new FakeCollection(name));
+            }
+            return collections.get(name);
+        },
+        client: {
+            startSession: () => ({
+                withTransaction: async (callback) => callback(),
+                endSession: async () => {},
+            }),
+        },
+    };
+};
@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { detectImageType, processImage, variantKey, withExtension, ImageError } from '../src/imageProcessing.js';
+
+// Solid test image in a format
+const createImage = (format, { width = 800, height = 600, ...options } = {}) => {
+    return sharp({ create: { width, height, channels: 3, background: '#336699' } }).toFormat(format, options).toBuffer();
+};
+
+const rejectsWith = (promise, status) => assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ImageError);
+    assert.equal(error.status, status);
+    return true;
+});
+
+describe('detectImageType', () => {
+    it('recognizes the accepted formats by content', async () => {
+        for (const format of ['jpeg', 'png', 'gif', 'webp']) {
+            assert.equal(detectImageType(await createImage(format)), format);
+        }
+    });
+
+    it('returns null for anything else', async () => {
+        assert.equal(detectImageType(Buffer.from('%PDF-1.7 not an image at all')), null);
+        assert.equal(detectImageType(await createImage('avif')), null);
+        assert.equal(detectImageType(Buffer.from([0xff, 0xd8, 0xff])), null);
+        assert.equal(detectImageType('not a buffer'), null);
+    });
+});
+
+describe('processImage', () => {
+    it('renders smaller widths in the original format and WebP', async () => {
+        const { original, variants } = await processImage(await createImage('jpeg'));
+        assert.equal(original.format, 'jpeg');
+        assert.equal(original.contentType, 'image/jpeg');
+        assert.equal(original.width, 800);
+        assert.deepEqual(variants.map(variant => `${variant.width}:${variant.format}`), [
+            '320:jpeg', '320:webp', '640:jpeg', '640:webp', '800:webp',
+        ]);
+        variants.forEach(variant => assert.equal(variant.size, variant.buffer.length));
+    });
+
+    it('applies the EXIF orientation and strips metadata', async () => {
+        const input = await sharp(await createImage('jpeg'))
+            .withMetadata({ orientation: 6 })
+            .withExif({ IFD0: { Copyright: 'Someone' } })
+            .toBuffer();
+        assert.ok((await sharp(input).metadata()).exif);
+
+        const { original } = await processImage(input);
+        const metadata = await sharp(original.buffer).metadata();
+        assert.equal(metadata.width, 600);
+        assert.equal(metadata.height, 800);
+        assert.equal(metadata.exif, undefined);
+        assert.equal(metadata.orientation, undefined);
+    });
+
+    it('caps the size of the main image', async () => {
+        const { original } = await processImage(await createImage('png', { width: 3000, height: 100 }));
+        assert.equal(original.width, 2560);
+    });
+
+    it('keeps GIFs as they are', async () => {
+        const input = await createImage('gif', { width: 40, height: 30 });
+        const { original, variants } = await processImage(input);
+        assert.equal(original.buffer, input);
+        assert.equal(original.width, 40);
+        assert.equal(original.height, 30);
+        assert.deepEqual(variants, []);
+    });
+
+    it('rejects unsupported content with 415', async () => {
+        await rejectsWith(processImage(Buffer.from('%PDF-1.7 not an image at all')), 415);
+    });
+
+    it('rejects images with too many pixels with 413', async () => {
+        await rejectsWith(processImage(await createImage('png', { width: 12001, height: 1 })), 413);
+    });
+
+    it('rejects undecodable files with 400', async () => {
+        const png = await createImage('png');
+        await rejectsWith(processImage(Buffer.concat([png.subarray(0, 16), Buffer.alloc(64)])), 400);
+    });
+});
+
+describe('storage keys', () => {
+    it('names variants next to the main image', () => {
+        assert.equal(variantKey('images/1-photo.jpg', { width: 640, format: 'webp' }), 'images/1-photo-640w.webp');
+        assert.equal(variantKey('images/1-photo.png', { width: 320, format: 'jpeg' }), 'images/1-photo-320w.jpg');
+    });
+
+    it('keeps the extension in line with the format', () => {
+        assert.equal(withExtension('images/1-photo.jpeg', 'jpeg'), 'images/1-photo.jpg');
+        assert.equal(withExtension('images/1-photo.HEIC', 'webp'), 'images/1-photo.webp');
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MeAPI } from '../src/me.js';
+import { createDb } from './helpers/db.js';
+
+const tokenUser = { uid: 'user-1', name: 'User', role: 'viewer' };
+
+describe('MeAPI revisions', () => {
+    let db;
+    let meAPI;
+
+    before(() => {
+        console.error = () => {};
+    });
+
+    beforeEach(() => {
+        db = createDb();
+        meAPI = new MeAPI(db);
+    });
+
+    it('records a revision of every profile change', async () => {
+        await meAPI.updateMe(tokenUser, { name: 'First', bio: 'Hello' });
+        await meAPI.updateMe(tokenUser, { name: 'Second' });
+        const { revisions, total } = await meAPI.getMeRevisions(tokenUser);
+
+        assert.equal(total, 2);
+        // Newest first
+        assert.deepEqual(revisions[0].diff.filter(change => change.field === 'name'), [{ field: 'name', from: 'First', to: 'Second' }]);
+    });
+
+    it('restores the editable fields of a revision', async () => {
+        await meAPI.updateMe(tokenUser, { name: 'First' });
+        const [first] = (await meAPI.getMeRevisions(tokenUser)).revisions;
+        await meAPI.updateMe(tokenUser, { name: 'Second', bio: 'Added later' });
+
+        const restored = await meAPI.restoreMeRevision(tokenUser, first._id.toString());
+
+        assert.equal(restored.name, 'First');
+        assert.equal(restored.bio, undefined);
+        assert.equal(restored.uid, 'user-1');
+        assert.equal((await meAPI.getMeRevisions(tokenUser)).total, 3);
+    });
+
+    it('only restores revisions of the caller', async () => {
+        await meAPI.updateMe({ uid: 'user-2' }, { name: 'Other' });
+        const [other] = (await meAPI.getMeRevisions({ uid: 'user-2' })).revisions;
+
+        await assert.rejects(meAPI.restoreMeRevision(tokenUser, other._id.toString()), { status: 404 });
+        await meAPI.updateMe(tokenUser, { name: 'Mine' });
+        await assert.rejects(meAPI.restoreMeRevision(tokenUser, other._id.toString()), { status: 404 });
+    });
+});
@@ -0,0 +1,21 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Driver settings are read when the module loads; ImgBB is the default driver and cannot hold media
+delete process.env.STORAGE_DRIVER;
+delete process.env.STORAGE_FALLBACK_DRIVER;
+delete process.env.MEDIA_STORAGE_DRIVER;
+const { MediaAPI } = await import('../src/media.js');
+
+describe('MediaAPI.createSession', () => {
+    it('refuses uploads before any chunk is sent when no driver can hold media', async () => {
+        let inserted = false;
+        const db = { collection: () => ({ insertOne: async () => { inserted = true; } }) };
+        const mediaAPI = new MediaAPI(db);
+        await assert.rejects(
+            mediaAPI.createSession({ fileName: 'clip.mp4', contentType: 'video/mp4', size: 1024 }, { uid: 'user-1' }),
+            { status: 503, code: 'MEDIA_STORAGE_UNAVAILABLE' }
+        );
+        assert.equal(inserted, false);
+    });
+});
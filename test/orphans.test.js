@@ -0,0 +1,95 @@
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createDb } from './helpers/db.js';
+
+// Storage settings are read when the modules load
+const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'orphans-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_UPLOAD_DIR = uploadDir;
+process.env.PUBLIC_URL = 'https://portfolio.example.com';
+process.env.MEDIA_GC_GRACE_DAYS = '0';
+delete process.env.STORAGE_FALLBACK_DRIVER;
+delete process.env.MEDIA_STORAGE_DRIVER;
+const { collectOrphans } = await import('../src/orphans.js');
+const { getStorage } = await import('../src/storage/index.js');
+
+const OLD = new Date('2020-01-01T00:00:00Z');
+
+// Store a file that looks uploaded long ago, past any grace period
+const storeOldFile = async (key) => {
+    const stored = await getStorage('local').upload(Buffer.from(key), { key });
+    await fs.utimes(path.join(uploadDir, key), OLD, OLD);
+    return stored;
+};
+
+const exists = (key) => fs.access(path.join(uploadDir, key)).then(() => true, () => false);
+
+describe('collectOrphans', () => {
+    let db;
+
+    before(() => {
+        console.error = () => {};
+    });
+
+    beforeEach(async () => {
+        await fs.rm(uploadDir, { recursive: true, force: true });
+        db = createDb();
+    });
+
+    after(async () => {
+        await fs.rm(uploadDir, { recursive: true, force: true });
+    });
+
+    it('reads a grace period of 0 from MEDIA_GC_GRACE_DAYS', async () => {
+        const report = await collectOrphans(db, { dryRun: true });
+        assert.equal(report.graceDays, 0);
+    });
+
+    it('deletes old files that no record points at', async () => {
+        await storeOldFile('images/stray.jpg');
+        const report = await collectOrphans(db);
+
+        assert.deepEqual(report.untrackedFiles.map(file => [file.key, file.deleted]), [['images/stray.jpg', true]]);
+        assert.equal(await exists('images/stray.jpg'), false);
+    });
+
+    it('keeps files of records saved with only a URL', async () => {
+        const { url } = await storeOldFile('images/legacy one.jpg');
+        await storeOldFile('images/moved.jpg');
+        await db.collection('images').insertMany([
+            { url, uploadedAt: OLD },
+            // Saved under an earlier PUBLIC_URL, found by the key in its path
+            { url: 'http://localhost:8888/uploads/images/moved.jpg', uploadedAt: OLD },
+        ]);
+        const report = await collectOrphans(db);
+
+        assert.deepEqual(report.untrackedFiles, []);
+        assert.deepEqual(report.missingFiles, []);
+        assert.equal(await exists('images/legacy one.jpg'), true);
+        assert.equal(await exists('images/moved.jpg'), true);
+    });
+
+    it('removes old records whose file is gone, including records saved with only a URL', async () => {
+        await storeOldFile('images/kept.jpg');
+        await db.collection('images').insertMany([
+            { driver: 'local', key: 'images/kept.jpg', url: 'https://portfolio.example.com/uploads/images/kept.jpg', uploadedAt: OLD },
+            { url: 'https://portfolio.example.com/uploads/images/gone.jpg', uploadedAt: OLD },
+        ]);
+        const report = await collectOrphans(db);
+
+        assert.deepEqual(report.missingFiles.map(file => [file.driver, file.key, file.deleted]), [['local', 'images/gone.jpg', true]]);
+        assert.equal(await db.collection('images').countDocuments(), 1);
+    });
+
+    it('never reports files a portfolio still shows', async () => {
+        const { url } = await storeOldFile('images/shown.jpg');
+        await db.collection('portfolios').insertOne({ title: 'Project', image: url });
+        const report = await collectOrphans(db);
+
+        assert.deepEqual(report.untrackedFiles, []);
+        assert.equal(await exists('images/shown.jpg'), true);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { OwnerAPI } from '../src/owner.js';
+import { createDb } from './helpers/db.js';
+
+describe('OwnerAPI votes', () => {
+    let db;
+    let ownerAPI;
+
+    before(() => {
+        console.error = () => {};
+    });
+
+    beforeEach(async () => {
+        db = createDb();
+        ownerAPI = new OwnerAPI(db);
+        await db.collection('articles').insertMany([
+            { articleName: 'hello', content: '# Hello', status: 'published', upvotes: 0, upvodIds: [] },
+            { articleName: 'secret', content: 'Draft', status: 'draft', upvotes: 0, upvodIds: [] },
+        ]);
+    });
+
+    it('counts concurrent upvotes of one user once', async () => {
+        const results = await Promise.allSettled([
+            ownerAPI.upvoteArticle('hello', 'user-1'),
+            ownerAPI.upvoteArticle('hello', 'user-1'),
+        ]);
+
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+        assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+        const article = await db.collection('articles').findOne({ articleName: 'hello' });
+        assert.equal(article.upvotes, 1);
+        assert.deepEqual(article.upvodIds, ['user-1']);
+    });
+
+    it('returns the caller vote without the voter list', async () => {
+        const article = await ownerAPI.upvoteArticle('hello', 'user-1');
+
+        assert.equal(article.myVote, true);
+        assert.equal(article.upvotes, 1);
+        assert.equal(article.upvodIds, undefined);
+    });
+
+    it('withdraws an upvote once', async () => {
+        await ownerAPI.upvoteArticle('hello', 'user-1');
+        await ownerAPI.upvoteArticle('hello', 'user-2');
+        const article = await ownerAPI.removeUpvote('hello', 'user-1');
+
+        assert.equal(article.upvotes, 1);
+        assert.equal(article.myVote, false);
+        await assert.rejects(ownerAPI.removeUpvote('hello', 'user-1'), { status: 409 });
+    });
+
+    it('rejects votes without a user, on drafts and on missing articles', async () => {
+        await assert.rejects(ownerAPI.upvoteArticle('hello', null), { status: 401 });
+        await assert.rejects(ownerAPI.upvoteArticle('secret', 'user-1'), { status: 404 });
+        await assert.rejects(ownerAPI.upvoteArticle('missing', 'user-1'), { status: 404 });
+        await assert.rejects(ownerAPI.removeUpvote('missing', 'user-1'), { status: 404 });
+    });
+});
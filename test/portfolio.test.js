@@ -0,0 +1,296 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PortfolioAPI } from '../src/portfolio.js';
+import { createDb } from './helpers/db.js';
+
+describe('PortfolioAPI', () => {
+    let db;
+    let portfolioAPI;
+
+    before(() => {
+        console.error = () => {};
+        console.log = () => {};
+    });
+
+    beforeEach(() => {
+        db = createDb();
+        portfolioAPI = new PortfolioAPI(db);
+    });
+
+    describe('likes', () => {
+        let id;
+
+        beforeEach(async () => {
+            ({ insertedId: id } = await db.collection('portfolios').insertOne({ title: 'Project', slug: 'project', status: 'published', likes: 0, likedBy: [] }));
+        });
+
+        it('counts concurrent likes of one user once', async () => {
+            const results = await Promise.allSettled([
+                portfolioAPI.likePortfolio(id.toString(), 'user-1'),
+                portfolioAPI.likePortfolio('project', 'user-1'),
+            ]);
+
+            assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+            assert.equal(results.find(result => result.status === 'rejected').reason.status, 409);
+            const portfolio = await db.collection('portfolios').findOne({ _id: id });
+            assert.equal(portfolio.likes, 1);
+            assert.deepEqual(portfolio.likedBy, ['user-1']);
+        });
+
+        it('withdraws a like once', async () => {
+            await portfolioAPI.likePortfolio('project', 'user-1');
+            const portfolio = await portfolioAPI.unlikePortfolio('project', 'user-1');
+
+            assert.equal(portfolio.likes, 0);
+            assert.equal(portfolio.myVote, false);
+            assert.equal(portfolio.likedBy, undefined);
+            await assert.rejects(portfolioAPI.unlikePortfolio('project', 'user-1'), { status: 409 });
+        });
+
+        it('rejects likes without a user and on missing portfolios', async () => {
+            await assert.rejects(portfolioAPI.likePortfolio('project', null), { status: 401 });
+            await assert.rejects(portfolioAPI.likePortfolio('missing', 'user-1'), { status: 404 });
+        });
+    });
+
+    describe('slugs', () => {
+        it('generates transliterated slugs with a suffix on collisions', async () => {
+            const first = await portfolioAPI.createPortfolio({ title: 'Café déjà-vu' });
+            const second = await portfolioAPI.createPortfolio({ title: 'Cafe deja vu' });
+
+            assert.equal(first.slug, 'cafe_deja_vu');
+            assert.equal(second.slug, 'cafe_deja_vu_2');
+        });
+
+        it('moves the slug on rename and redirects the old one', async () => {
+            const created = await portfolioAPI.createPortfolio({ title: 'Project 2024', status: 'published' });
+            const renamed = await portfolioAPI.updatePortfolio(created._id.toString(), { title: 'Project' });
+
+            assert.equal(renamed.slug, 'project');
+            assert.deepEqual(renamed.previousSlugs, ['project_2024']);
+            await assert.rejects(portfolioAPI.getPortfolioById('project_2024'), { status: 301, target: 'project' });
+        });
+
+        it('keeps the slug when the title still leads to it', async () => {
+            await portfolioAPI.createPortfolio({ title: 'Project' });
+            const second = await portfolioAPI.createPortfolio({ title: 'Project' });
+            const updated = await portfolioAPI.updatePortfolio(second._id.toString(), { title: 'Project', description: 'Edited' });
+
+            assert.equal(updated.slug, 'project_2');
+            assert.deepEqual(updated.previousSlugs, []);
+        });
+
+        it('reserves old slugs for their redirects', async () => {
+            const created = await portfolioAPI.createPortfolio({ title: 'Old name' });
+            await portfolioAPI.updatePortfolio(created._id.toString(), { title: 'New name' });
+            const other = await portfolioAPI.createPortfolio({ title: 'Old name' });
+
+            assert.equal(other.slug, 'old_name_2');
+        });
+
+        it('gives a renamed portfolio its old slug back without a redirect to itself', async () => {
+            const created = await portfolioAPI.createPortfolio({ title: 'First' });
+            await portfolioAPI.updatePortfolio(created._id.toString(), { title: 'Second' });
+            const restored = await portfolioAPI.updatePortfolio(created._id.toString(), { title: 'First' });
+
+            assert.equal(restored.slug, 'first');
+            assert.deepEqual(restored.previousSlugs, ['second']);
+        });
+
+        it('only redirects old slugs of drafts for editors', async () => {
+            const created = await portfolioAPI.createPortfolio({ title: 'Draft' });
+            await portfolioAPI.updatePortfolio(created._id.toString(), { title: 'Renamed draft' });
+
+            await assert.rejects(portfolioAPI.getPortfolioById('draft'), { status: 404 });
+            await assert.rejects(portfolioAPI.getPortfolioById('draft', null, { includeUnpublished: true }), { status: 301, target: 'renamed_draft' });
+        });
+
+        it('fixes duplicate and missing slugs of older portfolios', async () => {
+            await db.collection('portfolios').insertMany([
+                { title: 'Same', slug: 'same' },
+                { title: 'Same', slug: 'same' },
+                { title: 'No slug' },
+            ]);
+            await portfolioAPI.ensureUniqueSlugs();
+
+            const slugs = (await db.collection('portfolios').find({}, { sort: { _id: 1 } }).toArray()).map(portfolio => portfolio.slug);
+            assert.deepEqual(slugs, ['same', 'same_2', 'no_slug']);
+        });
+    });
+
+    describe('scheduling', () => {
+        const HOUR = 60 * 60 * 1000;
+        const past = () => new Date(Date.now() - HOUR);
+        const future = () => new Date(Date.now() + HOUR);
+        const listedTitles = async (options) => (await portfolioAPI.getAllPortfolios(null, options)).portfolios.map(portfolio => portfolio.title).sort();
+
+        it('rejects schedules without publishAt or ending before they start', async () => {
+            await assert.rejects(portfolioAPI.createPortfolio({ title: 'No date', status: 'scheduled' }), { status: 400 });
+            await assert.rejects(
+                portfolioAPI.createPortfolio({ title: 'Backwards', status: 'scheduled', publishAt: future(), unpublishAt: past() }),
+                { status: 400 }
+            );
+        });
+
+        it('only shows live items to visitors', async () => {
+            await db.collection('portfolios').insertMany([
+                { title: 'Published', status: 'published' },
+                { title: 'Legacy' },
+                { title: 'Draft', status: 'draft' },
+                { title: 'Due', status: 'scheduled', publishAt: past() },
+                { title: 'Upcoming', status: 'scheduled', publishAt: future() },
+                { title: 'Expired', status: 'published', unpublishAt: past() },
+                { title: 'Archived', status: 'archived' },
+            ]);
+
+            assert.deepEqual(await listedTitles({}), ['Due', 'Legacy', 'Published']);
+            assert.equal((await listedTitles({ includeUnpublished: true })).length, 7);
+            assert.deepEqual(await listedTitles({ includeUnpublished: true, status: 'published' }), ['Expired', 'Legacy', 'Published']);
+        });
+
+        it('publishes due items and archives expired ones', async () => {
+            const publishAt = past();
+            await db.collection('portfolios').insertMany([
+                { title: 'Due', status: 'scheduled', publishAt },
+                { title: 'Upcoming', status: 'scheduled', publishAt: future() },
+                { title: 'Expired', status: 'published', unpublishAt: past() },
+                { title: 'Trashed', status: 'scheduled', publishAt, deletedAt: new Date() },
+            ]);
+            const result = await portfolioAPI.applySchedule();
+
+            assert.deepEqual(result, { published: 1, archived: 1 });
+            const due = await db.collection('portfolios').findOne({ title: 'Due' });
+            assert.equal(due.status, 'published');
+            assert.deepEqual(due.publishedAt, publishAt);
+            assert.equal((await db.collection('portfolios').findOne({ title: 'Expired' })).status, 'archived');
+            assert.equal((await db.collection('portfolios').findOne({ title: 'Trashed' })).status, 'scheduled');
+        });
+    });
+
+    describe('revisions and trash', () => {
+        const editor = { uid: 'editor-1', name: 'Editor' };
+
+        it('records a revision of every change', async () => {
+            const created = await portfolioAPI.createPortfolio({ title: 'Project', description: 'First' }, editor);
+            await portfolioAPI.updatePortfolio(created._id.toString(), { description: 'Second' }, editor);
+            const { revisions, total } = await portfolioAPI.getPortfolioRevisions('project');
+
+            assert.equal(total, 2);
+            assert.deepEqual(revisions.map(revision => revision.action).sort(), ['create', 'update']);
+            const update = revisions.find(revision => revision.action === 'update');
+            assert.deepEqual(update.diff, [{ field: 'description', from: 'First', to: 'Second' }]);
+            assert.deepEqual(update.user, { uid: 'editor-1', name: 'Editor' });
+            assert.equal(update.snapshot, undefined);
+        });
+
+        it('restores a revision without touching slugs and votes', async () => {
+            const created = await portfolioAPI.createPortfolio({ title: 'Project', description: 'First', status: 'published' }, editor);
+            const [original] = (await portfolioAPI.getPortfolioRevisions('project')).revisions;
+            await portfolioAPI.updatePortfolio('project', { title: 'Renamed', description: 'Second', year: 2024 }, editor);
+            await portfolioAPI.likePortfolio('renamed', 'user-1');
+
+            const restored = await portfolioAPI.restorePortfolioRevision(created._id.toString(), original._id.toString(), editor);
+
+            assert.equal(restored.title, 'Project');
+            assert.equal(restored.description, 'First');
+            assert.equal(restored.year, undefined);
+            assert.equal(restored.likes, 1);
+            assert.deepEqual(restored.previousSlugs, ['renamed']);
+            const { revisions } = await portfolioAPI.getPortfolioRevisions('project');
+            assert.ok(revisions.some(revision => revision.action === 'restore'));
+        });
+
+        it('rejects revisions of other portfolios', async () => {
+            await portfolioAPI.createPortfolio({ title: 'One' });
+            await portfolioAPI.createPortfolio({ title: 'Two' });
+            const [revision] = (await portfolioAPI.getPortfolioRevisions('one')).revisions;
+
+            await assert.rejects(portfolioAPI.restorePortfolioRevision('two', revision._id.toString()), { status: 404 });
+        });
+
+        it('moves deleted portfolios to the trash until they are restored', async () => {
+            await portfolioAPI.createPortfolio({ title: 'Project', status: 'published' });
+            await portfolioAPI.deletePortfolio('project', editor);
+
+            await assert.rejects(portfolioAPI.getPortfolioById('project', null, { includeUnpublished: true }), { status: 404 });
+            assert.equal((await portfolioAPI.getAllPortfolios(null, { includeUnpublished: true })).total, 0);
+            const trash = await portfolioAPI.getTrash();
+            assert.deepEqual(trash.portfolios.map(portfolio => [portfolio.title, portfolio.deletedBy]), [['Project', 'editor-1']]);
+
+            const restored = await portfolioAPI.undeletePortfolio('project', editor);
+            assert.equal(restored.deletedAt, undefined);
+            assert.equal((await portfolioAPI.getPortfolioById('project')).title, 'Project');
+            assert.equal((await portfolioAPI.getTrash()).total, 0);
+        });
+
+        it('purges portfolios trashed before the retention period with their revisions', async () => {
+            const old = await portfolioAPI.createPortfolio({ title: 'Old' });
+            await portfolioAPI.createPortfolio({ title: 'Recent' });
+            await portfolioAPI.deletePortfolio('recent');
+            await db.collection('portfolios').updateOne({ _id: old._id }, { $set: { deletedAt: new Date('2020-01-01T00:00:00Z') } });
+
+            assert.equal(await portfolioAPI.purgeTrash(30), 1);
+            assert.equal(await db.collection('portfolios').countDocuments({ _id: old._id }), 0);
+            assert.equal(await db.collection('revisions').countDocuments({ entityId: old._id }), 0);
+            assert.equal((await portfolioAPI.getTrash()).total, 1);
+        });
+    });
+
+    describe('ordering', () => {
+        const showcase = async (options = {}) => (await portfolioAPI.getAllPortfolios(null, { includeUnpublished: true, ...options }))
+            .portfolios.map(portfolio => portfolio.title);
+
+        it('puts new items at the top and featured items first', async () => {
+            await portfolioAPI.createPortfolio({ title: 'A' });
+            await portfolioAPI.createPortfolio({ title: 'B', featured: true });
+            await portfolioAPI.createPortfolio({ title: 'C' });
+
+            assert.deepEqual(await showcase(), ['B', 'C', 'A']);
+        });
+
+        it('moves listed items first in the given order and keeps the rest after them', async () => {
+            const a = await portfolioAPI.createPortfolio({ title: 'A' });
+            await portfolioAPI.createPortfolio({ title: 'B' });
+            const c = await portfolioAPI.createPortfolio({ title: 'C' });
+
+            const result = await portfolioAPI.reorderPortfolios([a._id.toString(), c._id.toString()]);
+
+            assert.equal(result.success, true);
+            assert.deepEqual(await showcase(), ['A', 'C', 'B']);
+            assert.equal((await portfolioAPI.reorderPortfolios([a._id.toString(), c._id.toString()])).updated, 0);
+        });
+
+        it('rejects unknown and trashed ids', async () => {
+            const a = await portfolioAPI.createPortfolio({ title: 'A' });
+            await portfolioAPI.deletePortfolio('a');
+
+            await assert.rejects(portfolioAPI.reorderPortfolios([a._id.toString()]), { status: 400 });
+            await assert.rejects(portfolioAPI.reorderPortfolios(['0'.repeat(24)]), { status: 400 });
+        });
+
+        it('pages through the showcase order with cursors', async () => {
+            for (const title of ['A', 'B', 'C', 'D', 'E']) {
+                await portfolioAPI.createPortfolio({ title, featured: title === 'B' });
+            }
+            const first = await portfolioAPI.getAllPortfolios(null, { includeUnpublished: true, limit: 2 });
+            const second = await portfolioAPI.getAllPortfolios(null, { includeUnpublished: true, limit: 2, cursor: first.nextCursor });
+            const third = await portfolioAPI.getAllPortfolios(null, { includeUnpublished: true, limit: 2, cursor: second.nextCursor });
+
+            const titles = [first, second, third].flatMap(page => page.portfolios.map(portfolio => portfolio.title));
+            assert.deepEqual(titles, ['B', 'E', 'D', 'C', 'A']);
+            assert.equal(third.nextCursor, null);
+        });
+
+        it('gives older portfolios positions below the positioned ones, newest first', async () => {
+            await db.collection('portfolios').insertMany([
+                { title: 'Positioned', position: 1024, featured: false },
+                { title: 'Older' },
+                { title: 'Newer', featured: 'yes' },
+            ]);
+            await portfolioAPI.ensurePositions();
+
+            assert.deepEqual(await showcase(), ['Positioned', 'Newer', 'Older']);
+            assert.equal(await db.collection('portfolios').countDocuments({ featured: false }), 3);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore, rateLimit, setRateLimitStore } from '../src/rateLimit.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const createResponse = () => {
+    const headers = {};
+    return {
+        headers,
+        get: (name) => headers[name],
+        set: (name, value) => {
+            headers[name] = value;
+        },
+    };
+};
+
+// Run a middleware and resolve with what it passed to next()
+const run = (middleware, req, res = createResponse()) => new Promise((resolve) => {
+    middleware(req, res, (error) => resolve({ error, res }));
+});
+
+describe('memory store', () => {
+    it('counts hits per key', async () => {
+        const store = createMemoryStore();
+        assert.equal((await store.increment('a', MINUTE_MS)).count, 1);
+        assert.equal((await store.increment('a', MINUTE_MS)).count, 2);
+        assert.equal((await store.increment('b', MINUTE_MS)).count, 1);
+    });
+
+    it('starts a new window once the old one ended', async (t) => {
+        const store = createMemoryStore();
+        let now = 1_000_000;
+        t.mock.method(Date, 'now', () => now);
+        const first = await store.increment('a', MINUTE_MS);
+        assert.equal(first.resetAt.getTime(), now + MINUTE_MS);
+        await store.increment('a', MINUTE_MS);
+        now += MINUTE_MS;
+        const next = await store.increment('a', MINUTE_MS);
+        assert.equal(next.count, 1);
+        assert.equal(next.resetAt.getTime(), now + MINUTE_MS);
+    });
+});
+
+describe('rateLimit', () => {
+    beforeEach(() => {
+        setRateLimitStore(createMemoryStore());
+    });
+
+    it('lets requests through up to the limit and sets the headers', async () => {
+        const limit = rateLimit({ name: 'test-headers', max: 2, windowMs: MINUTE_MS });
+        const { error, res } = await run(limit, { ip: '1.2.3.4' });
+        assert.equal(error, undefined);
+        assert.equal(res.headers['RateLimit-Limit'], '2');
+        assert.equal(res.headers['RateLimit-Remaining'], '1');
+        assert.equal(res.headers['RateLimit-Reset'], '60');
+        assert.equal(res.headers['RateLimit-Policy'], '2;w=60');
+    });
+
+    it('answers 429 with Retry-After once the limit is reached', async () => {
+        const limit = rateLimit({ name: 'test-block', max: 1, windowMs: MINUTE_MS });
+        await run(limit, { ip: '1.2.3.4' });
+        const { error, res } = await run(limit, { ip: '1.2.3.4' });
+        assert.equal(error.status, 429);
+        assert.equal(error.code, 'RATE_LIMITED');
+        assert.equal(error.details.retryAfter, 60);
+        assert.equal(res.headers['Retry-After'], '60');
+        assert.equal(res.headers['RateLimit-Remaining'], '0');
+        // Other clients have their own budget
+        assert.equal((await run(limit, { ip: '5.6.7.8' })).error, undefined);
+    });
+
+    it('keys user limits by uid and falls back to the IP', async () => {
+        const limit = rateLimit({ name: 'test-user', max: 1, windowMs: MINUTE_MS, by: 'user' });
+        await run(limit, { ip: '1.2.3.4', user: { uid: 'a' } });
+        assert.equal((await run(limit, { ip: '1.2.3.4', user: { uid: 'b' } })).error, undefined);
+        assert.equal((await run(limit, { ip: '5.6.7.8', user: { uid: 'a' } })).error.status, 429);
+        assert.equal((await run(limit, { ip: '1.2.3.4', user: null })).error, undefined);
+        assert.equal((await run(limit, { ip: '1.2.3.4', user: null })).error.status, 429);
+    });
+
+    it('reads budget overrides from the environment', async () => {
+        process.env.RATE_LIMIT_TEST_OVERRIDE = '1/30';
+        try {
+            const limit = rateLimit({ name: 'test-override', max: 100, windowMs: MINUTE_MS });
+            const { res } = await run(limit, { ip: '1.2.3.4' });
+            assert.equal(res.headers['RateLimit-Policy'], '1;w=30');
+            assert.equal((await run(limit, { ip: '1.2.3.4' })).error.status, 429);
+        } finally {
+            delete process.env.RATE_LIMIT_TEST_OVERRIDE;
+        }
+    });
+
+    it('shows the limiter closest to its limit', async () => {
+        const wide = rateLimit({ name: 'test-wide', max: 100, windowMs: MINUTE_MS });
+        const narrow = rateLimit({ name: 'test-narrow', max: 5, windowMs: MINUTE_MS });
+        const res = createResponse();
+        await run(narrow, { ip: '1.2.3.4' }, res);
+        await run(wide, { ip: '1.2.3.4' }, res);
+        assert.equal(res.headers['RateLimit-Limit'], '5');
+        assert.equal(res.headers['RateLimit-Remaining'], '4');
+    });
+
+    it('lets requests through when the store fails', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        setRateLimitStore({
+            name: 'broken',
+            increment: async () => {
+                throw new Error('store down');
+            },
+        });
+        const limit = rateLimit({ name: 'test-broken', max: 1, windowMs: MINUTE_MS });
+        assert.equal((await run(limit, { ip: '1.2.3.4' })).error, undefined);
+    });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { computeDiff } from '../src/revisions.js';
+
+describe('computeDiff', () => {
+    it('lists changed, added and removed fields', () => {
+        const diff = computeDiff(
+            { title: 'Old', tags: ['a'], description: 'Gone' },
+            { title: 'New', tags: ['a'], year: 2024 }
+        );
+
+        assert.deepEqual(diff, [
+            { field: 'title', from: 'Old', to: 'New' },
+            { field: 'description', from: 'Gone', to: null },
+            { field: 'year', from: null, to: 2024 },
+        ]);
+    });
+
+    it('ignores ids, timestamps and votes', () => {
+        const diff = computeDiff(
+            { _id: new ObjectId(), updatedAt: new Date(1), likes: 1, likedBy: ['a'] },
+            { _id: new ObjectId(), updatedAt: new Date(2), likes: 2, likedBy: ['a', 'b'] }
+        );
+
+        assert.deepEqual(diff, []);
+    });
+
+    it('treats every field of a created document as added', () => {
+        assert.deepEqual(computeDiff(null, { title: 'New' }), [{ field: 'title', from: null, to: 'New' }]);
+    });
+});
@@ -0,0 +1,62 @@
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleJob, stopJobs } from '../src/scheduler.js';
+
+describe('scheduleJob', () => {
+    let errors = [];
+
+    before(() => {
+        console.log = () => {};
+        console.error = (...args) => errors.push(args);
+    });
+
+    afterEach(() => {
+        stopJobs();
+        errors = [];
+    });
+
+    it('runs the task right away', async () => {
+        let runs = 0;
+        scheduleJob('count', 60 * 1000, async () => {
+            runs++;
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(runs, 1);
+    });
+
+    it('skips runs while the previous one is in progress', async () => {
+        let runs = 0;
+        let finish;
+        scheduleJob('slow', 10, () => {
+            runs++;
+            return new Promise(resolve => {
+                finish = resolve;
+            });
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.equal(runs, 1);
+
+        finish();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.ok(runs > 1);
+    });
+
+    it('logs failures instead of throwing', async () => {
+        scheduleJob('failing', 60 * 1000, async () => {
+            throw new Error('boom');
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(errors.length, 1);
+        assert.match(errors[0][0], /'failing' failed/);
+    });
+
+    it('refuses a second job with the same name until jobs are stopped', () => {
+        scheduleJob('unique', 60 * 1000, async () => {});
+        assert.throws(() => scheduleJob('unique', 60 * 1000, async () => {}), /already scheduled/);
+
+        stopJobs();
+        scheduleJob('unique', 60 * 1000, async () => {});
+    });
+});
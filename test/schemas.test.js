@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, ValidationError } from '../src/validation.js';
+import { userRoleSchema } from '../src/schemas.js';
+
+describe('userRoleSchema', () => {
+    it('accepts the known roles', () => {
+        for (const role of ['visitor', 'editor', 'owner']) {
+            assert.deepEqual(validate(userRoleSchema, { role }), { role });
+        }
+    });
+
+    it('rejects a missing body, a missing role and unknown roles', () => {
+        for (const body of [undefined, {}, { role: 'admin' }, { role: 'editor', uid: 'x' }]) {
+            assert.throws(() => validate(userRoleSchema, body), ValidationError);
+        }
+    });
+});
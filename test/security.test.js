@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createOriginCheck, securityHeaders } from '../src/security.js';
+
+// Resolve with whether the origin check allows an origin
+const allows = (check, origin) => new Promise((resolve, reject) => {
+    check(origin, (error, allowed) => (error ? reject(error) : resolve(allowed)));
+});
+
+describe('createOriginCheck', () => {
+    const check = createOriginCheck(['https://example.com', 'https://*.vercel.app', 'http://localhost:5173']);
+
+    it('allows listed origins', async () => {
+        assert.equal(await allows(check, 'https://example.com'), true);
+        assert.equal(await allows(check, 'http://localhost:5173'), true);
+        assert.equal(await allows(check, 'HTTPS://EXAMPLE.COM'), true);
+    });
+
+    it('rejects other origins, schemes and ports', async () => {
+        assert.equal(await allows(check, 'https://evil.com'), false);
+        assert.equal(await allows(check, 'http://example.com'), false);
+        assert.equal(await allows(check, 'https://example.com:8443'), false);
+        assert.equal(await allows(check, 'https://example.com.evil.com'), false);
+        assert.equal(await allows(check, 'http://localhost:3000'), false);
+    });
+
+    it('matches wildcard subdomains but not the bare domain', async () => {
+        assert.equal(await allows(check, 'https://my-app.vercel.app'), true);
+        assert.equal(await allows(check, 'https://preview.my-app.vercel.app'), true);
+        assert.equal(await allows(check, 'https://vercel.app'), false);
+        assert.equal(await allows(check, 'https://evilvercel.app'), false);
+        assert.equal(await allows(check, 'http://my-app.vercel.app'), false);
+    });
+
+    it('allows requests without an Origin header', async () => {
+        assert.equal(await allows(check, undefined), true);
+    });
+
+    it('treats dots in listed origins literally', async () => {
+        assert.equal(await allows(createOriginCheck(['https://a.example.com']), 'https://aXexample.com'), false);
+    });
+
+    it('allows nothing but same-origin requests with an empty list', async () => {
+        const closed = createOriginCheck([]);
+        assert.equal(await allows(closed, 'https://example.com'), false);
+        assert.equal(await allows(closed, undefined), true);
+    });
+});
+
+describe('securityHeaders', () => {
+    // Headers set for a request path
+    const headersFor = (path, secure = false) => {
+        const headers = {};
+        securityHeaders()({ path, secure }, { set: (name, value) => { headers[name] = value; } }, () => {});
+        return headers;
+    };
+
+    it('sets the common headers', () => {
+        const headers = headersFor('/');
+        assert.equal(headers['X-Content-Type-Options'], 'nosniff');
+        assert.equal(headers['X-Frame-Options'], 'DENY');
+        assert.equal(headers['Referrer-Policy'], 'strict-origin-when-cross-origin');
+        assert.equal(headers['Strict-Transport-Security'], undefined);
+    });
+
+    it('sets HSTS on HTTPS requests', () => {
+        assert.match(headersFor('/', true)['Strict-Transport-Security'], /^max-age=\d+; includeSubDomains$/);
+    });
+
+    it('uses a strict policy for the API and none for uploads', () => {
+        assert.equal(headersFor('/api/articles')['Content-Security-Policy'], "default-src 'none'; frame-ancestors 'none'");
+        assert.match(headersFor('/')['Content-Security-Policy'], /^default-src 'self'/);
+        assert.equal(headersFor('/uploads/images/a.png')['Content-Security-Policy'], undefined);
+    });
+});
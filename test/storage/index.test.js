@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Driver settings are read when the module loads; ImgBB is the default driver
+delete process.env.STORAGE_DRIVER;
+delete process.env.STORAGE_FALLBACK_DRIVER;
+delete process.env.MEDIA_STORAGE_DRIVER;
+const { inferDriverFromUrl, inferKeyFromUrl, MEDIA_DRIVER, canStoreMedia } = await import('../../src/storage/index.js');
+
+describe('inferDriverFromUrl', () => {
+    it('recognizes each driver from its URLs', () => {
+        assert.equal(inferDriverFromUrl('https://i.ibb.co/abc123/photo.jpg'), 'imgbb');
+        assert.equal(inferDriverFromUrl('https://firebasestorage.googleapis.com/v0/b/app.appspot.com/o/images%2Fa.jpg?alt=media'), 'firebase');
+        assert.equal(inferDriverFromUrl('http://localhost:3000/uploads/images/a.jpg'), 'local');
+        assert.equal(inferDriverFromUrl('https://example.com/a.jpg'), null);
+    });
+});
+
+describe('inferKeyFromUrl', () => {
+    it('decodes the path after /o/ of Firebase download URLs', () => {
+        const url = 'https://firebasestorage.googleapis.com/v0/b/app.appspot.com/o/images%2F1700000000-photo%20one.jpg?alt=media&token=abc';
+        assert.equal(inferKeyFromUrl(url), 'images/1700000000-photo one.jpg');
+    });
+
+    it('reads the path after the bucket of public Firebase URLs', () => {
+        assert.equal(inferKeyFromUrl('https://storage.googleapis.com/app.appspot.com/images/a.jpg'), 'images/a.jpg');
+    });
+
+    it('decodes the path after /uploads/ of local URLs', () => {
+        assert.equal(inferKeyFromUrl('http://localhost:3000/uploads/images/photo%20one.jpg'), 'images/photo one.jpg');
+    });
+
+    it('returns null when the URL does not contain the key', () => {
+        assert.equal(inferKeyFromUrl('https://i.ibb.co/abc123/photo.jpg'), null);
+        assert.equal(inferKeyFromUrl('http://localhost:3000/uploads/%E0%A4'), null);
+        assert.equal(inferKeyFromUrl(), null);
+    });
+});
+
+describe('media storage', () => {
+    it('does not send media to ImgBB by default', () => {
+        assert.equal(MEDIA_DRIVER, null);
+        assert.equal(canStoreMedia(), false);
+    });
+});
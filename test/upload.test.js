@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+// Storage settings are read when the modules load
+const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-test-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_UPLOAD_DIR = uploadDir;
+delete process.env.STORAGE_FALLBACK_DRIVER;
+const { handleImageUpload, handleImageDelete } = await import('../src/upload.js');
+const { getStorage } = await import('../src/storage/index.js');
+
+// Names of every file below a directory
+const listFiles = async (dir) => {
+    const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+    return entries.filter(entry => entry.isFile()).map(entry => entry.name);
+};
+
+const createRequest = async (portfolioAPI) => ({
+    file: {
+        originalname: 'photo.jpg',
+        buffer: await sharp({ create: { width: 800, height: 600, channels: 3, background: '#336699' } }).jpeg().toBuffer(),
+    },
+    body: {},
+    portfolioAPI,
+});
+
+const createResponse = () => ({
+    json(body) {
+        this.body = body;
+    },
+});
+
+after(async () => {
+    await fs.rm(uploadDir, { recursive: true, force: true });
+});
+
+describe('handleImageUpload', () => {
+    before(() => {
+        // Errors of the failing cases are logged on purpose
+        console.error = () => {};
+    });
+
+    it('stores the image and its variants and saves the record', async () => {
+        const saved = [];
+        const portfolioAPI = {
+            getImageByHash: async () => null,
+            saveImageMetadata: async (image) => {
+                saved.push(image);
+                return { ...image, _id: 'image-1' };
+            },
+        };
+        const res = createResponse();
+        await handleImageUpload(await createRequest(portfolioAPI), res);
+
+        assert.equal(res.body.success, true);
+        assert.equal(res.body.id, 'image-1');
+        assert.equal(saved.length, 1);
+        assert.equal(saved[0].driver, 'local');
+        assert.equal((await listFiles(uploadDir)).length, 1 + saved[0].variants.length);
+    });
+
+    it('fails and removes the stored files when the record cannot be saved', async () => {
+        await fs.rm(uploadDir, { recursive: true, force: true });
+        const portfolioAPI = {
+            getImageByHash: async () => null,
+            saveImageMetadata: async () => {
+                throw new Error('database down');
+            },
+        };
+        const res = createResponse();
+        await assert.rejects(handleImageUpload(await createRequest(portfolioAPI), res), (error) => {
+            assert.equal(error.status, 500);
+            assert.equal(error.message, 'Failed to save image metadata');
+            return true;
+        });
+        assert.equal(res.body, undefined);
+        assert.deepEqual(await listFiles(uploadDir), []);
+    });
+});
+
+describe('handleImageDelete', () => {
+    it('deletes the file of a record that only has a URL', async () => {
+        const { url } = await getStorage('local').upload(Buffer.from('legacy'), { key: 'images/legacy photo.jpg' });
+        const image = { _id: 'image-2', url };
+        const deleted = [];
+        const req = {
+            params: { id: 'image-2' },
+            query: {},
+            portfolioAPI: {
+                getImageById: async () => image,
+                getImageUsage: async () => new Map([['image-2', []]]),
+                deleteImageById: async (id) => deleted.push(id),
+            },
+        };
+        const res = createResponse();
+        await handleImageDelete(req, res);
+
+        assert.equal(res.body.success, true);
+        assert.deepEqual(deleted, ['image-2']);
+        await assert.rejects(fs.access(path.join(uploadDir, 'images/legacy photo.jpg')), { code: 'ENOENT' });
+    });
+});
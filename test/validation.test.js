@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, validateBody, toJsonSchema, ValidationError } from '../src/validation.js';
+
+const schema = {
+    name: 'item',
+    collection: 'items',
+    fields: {
+        _id: { readOnly: true },
+        title: { type: 'string', required: true, maxLength: 10 },
+        slug: { type: 'string', format: 'slug' },
+        link: { type: 'string', format: 'url' },
+        status: { type: 'string', enum: ['draft', 'published'] },
+        rating: { type: 'integer', min: 1, max: 5 },
+        featured: { type: 'boolean' },
+        publishedAt: { type: 'date' },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string', maxLength: 5 } },
+    },
+};
+
+// Run validate and return the field errors it throws
+const fieldErrors = (data, options) => {
+    try {
+        validate(schema, data, options);
+    } catch (error) {
+        assert.ok(error instanceof ValidationError);
+        return error.fields;
+    }
+    assert.fail('expected a ValidationError');
+};
+
+describe('validate', () => {
+    it('returns the normalized body', () => {
+        const result = validate(schema, {
+            title: '  Hello ',
+            rating: 3,
+            featured: false,
+            publishedAt: '2024-05-01T00:00:00Z',
+            tags: [' a ', 'b'],
+        });
+        assert.deepEqual(result, {
+            title: 'Hello',
+            rating: 3,
+            featured: false,
+            publishedAt: new Date('2024-05-01T00:00:00Z'),
+            tags: ['a', 'b'],
+        });
+    });
+
+    it('drops read-only fields and keeps null for optional ones', () => {
+        assert.deepEqual(validate(schema, { _id: 'x', title: 'A', slug: null, link: '' }), { title: 'A', slug: null, link: null });
+    });
+
+    it('lists every failing field', () => {
+        const fields = fieldErrors({
+            title: 'Far too long a title',
+            slug: 'Not A Slug',
+            link: 'javascript:alert(1)',
+            status: 'archived',
+            rating: 2.5,
+            featured: 'yes',
+            publishedAt: 'yesterday',
+            tags: ['a', 'b', 'c'],
+            extra: 1,
+        });
+        assert.deepEqual(fields.map(field => field.field), [
+            'title', 'slug', 'link', 'status', 'rating', 'featured', 'publishedAt', 'tags', 'extra',
+        ]);
+        assert.equal(fields.find(field => field.field === 'extra').message, 'is not an allowed field');
+    });
+
+    it('only accepts ISO 8601 dates', () => {
+        for (const publishedAt of ['2024-05-01', '2024-05-01T10:00', '2024-05-01T10:00:00.123+02:00', new Date()]) {
+            assert.ok(validate(schema, { title: 'A', publishedAt }).publishedAt instanceof Date);
+        }
+        for (const publishedAt of ['1', 'May 1, 2024', '2024-13-45', 1714521600000]) {
+            assert.deepEqual(fieldErrors({ title: 'A', publishedAt }), [{ field: 'publishedAt', message: 'must be an ISO 8601 date' }]);
+        }
+    });
+
+    it('checks array items', () => {
+        assert.deepEqual(fieldErrors({ title: 'A', tags: ['ok', 'too long'] }), [
+            { field: 'tags', message: 'item 1 must be at most 5 characters' },
+        ]);
+    });
+
+    it('checks number bounds', () => {
+        assert.deepEqual(fieldErrors({ title: 'A', rating: 6 }), [{ field: 'rating', message: 'must be at most 5' }]);
+        assert.deepEqual(fieldErrors({ title: 'A', rating: 0 }), [{ field: 'rating', message: 'must be at least 1' }]);
+    });
+
+    it('requires required fields unless partial', () => {
+        assert.deepEqual(fieldErrors({}), [{ field: 'title', message: 'is required' }]);
+        assert.deepEqual(fieldErrors({ title: '' }, { partial: true }), [{ field: 'title', message: 'is required' }]);
+        assert.deepEqual(validate(schema, { status: 'draft' }, { partial: true }), { status: 'draft' });
+    });
+
+    it('rejects bodies that are not objects', () => {
+        for (const body of [null, 'text', [{ title: 'A' }]]) {
+            assert.deepEqual(fieldErrors(body), [{ field: 'body', message: 'must be a JSON object' }]);
+        }
+    });
+});
+
+describe('validateBody', () => {
+    it('replaces req.body with the normalized body', () => {
+        const req = { body: { title: ' A ' } };
+        let passed;
+        validateBody(schema)(req, {}, (error) => {
+            passed = error;
+        });
+        assert.equal(passed, undefined);
+        assert.deepEqual(req.body, { title: 'A' });
+    });
+
+    it('passes the ValidationError on', () => {
+        let passed;
+        validateBody(schema)({ body: {} }, {}, (error) => {
+            passed = error;
+        });
+        assert.ok(passed instanceof ValidationError);
+        assert.equal(passed.status, 400);
+    });
+});
+
+describe('toJsonSchema', () => {
+    it('converts fields to $jsonSchema properties', () => {
+        const jsonSchema = toJsonSchema(schema);
+        assert.deepEqual(jsonSchema.required, ['title']);
+        assert.equal(jsonSchema.properties._id, undefined);
+        assert.deepEqual(jsonSchema.properties.title, { bsonType: 'string', maxLength: 10 });
+        assert.deepEqual(jsonSchema.properties.status, { bsonType: ['string', 'null'], enum: ['draft', 'published', null] });
+        assert.deepEqual(jsonSchema.properties.rating, { bsonType: ['number', 'null'], minimum: 1, maximum: 5 });
+        assert.deepEqual(jsonSchema.properties.tags.items, { bsonType: ['string', 'null'], maxLength: 5 });
+    });
+});